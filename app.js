@@ -1,6 +1,7 @@
 /**
  * GhostTrace - Instagram Follower Tracker
- * Core application logic
+ * Web app: storage, worker and UI. Parsing and comparison live in core.js,
+ * which is loaded first.
  */
 
 // ========================================
@@ -19,15 +20,112 @@ function escapeHtml(str) {
     return div.innerHTML;
 }
 
+// ========================================
+// Snapshot Deltas
+// ========================================
+
+/**
+ * Encodes a snapshot's lists as the changes from an earlier snapshot. A list
+ * delta holds the users added or changed, each with its position so the list
+ * rebuilds in its original order, and the (lowercased) usernames removed.
+ */
+class SnapshotDelta {
+    static key(user) {
+        return user.username.toLowerCase();
+    }
+
+    static diffList(parent, list) {
+        const parentByKey = new Map(parent.map(user => [this.key(user), user]));
+        const keys = new Set(list.map(user => this.key(user)));
+
+        const added = [];
+        list.forEach((user, index) => {
+            const previous = parentByKey.get(this.key(user));
+            if (!previous || JSON.stringify(previous) !== JSON.stringify(user)) {
+                added.push([index, user]);
+            }
+        });
+        const removed = parent.map(user => this.key(user)).filter(key => !keys.has(key));
+
+        return { added, removed };
+    }
+
+    static applyList(parent, { added, removed }) {
+        const dropped = new Set(removed);
+        added.forEach(([, user]) => dropped.add(this.key(user)));
+        const kept = parent.filter(user => !dropped.has(this.key(user)));
+
+        // Added users go back to their positions, kept ones fill the gaps in order
+        const list = new Array(kept.length + added.length);
+        added.forEach(([index, user]) => { list[index] = user; });
+        let next = 0;
+        for (let i = 0; i < list.length; i++) {
+            if (list[i] === undefined) list[i] = kept[next++];
+        }
+        return list;
+    }
+
+    /**
+     * @param {Object} parent - { followers, following, relationships } of the earlier snapshot
+     * @param {Object} snapshot - { followers, following, relationships } to encode
+     */
+    static diff(parent, snapshot) {
+        const relationships = {};
+        Object.entries(snapshot.relationships || {}).forEach(([type, list]) => {
+            relationships[type] = this.diffList(parent.relationships?.[type] || [], list);
+        });
+
+        return {
+            followers: this.diffList(parent.followers, snapshot.followers),
+            following: this.diffList(parent.following, snapshot.following),
+            relationships
+        };
+    }
+
+    static apply(parent, delta) {
+        const relationships = {};
+        Object.entries(delta.relationships).forEach(([type, listDelta]) => {
+            relationships[type] = this.applyList(parent.relationships?.[type] || [], listDelta);
+        });
+
+        return {
+            followers: this.applyList(parent.followers, delta.followers),
+            following: this.applyList(parent.following, delta.following),
+            relationships
+        };
+    }
+
+    /**
+     * Number of users added, changed or removed across all lists
+     */
+    static changeCount(delta) {
+        return [delta.followers, delta.following, ...Object.values(delta.relationships)]
+            .reduce((sum, { added, removed }) => sum + added.length + removed.length, 0);
+    }
+
+    /**
+     * Whether applying the delta to the parent gives back exactly the snapshot's lists
+     */
+    static roundTrips(parent, delta, snapshot) {
+        const { followers, following, relationships = {} } = snapshot;
+        return JSON.stringify(this.apply(parent, delta)) === JSON.stringify({ followers, following, relationships });
+    }
+}
+
 // ========================================
 // Database Manager (IndexedDB)
 // ========================================
+
 class DatabaseManager {
     constructor() {
         this.dbName = 'GhostTraceDB';
-        this.dbVersion = 1;
+        this.dbVersion = 3;
         this.db = null;
         this.isAvailable = true;
+        this.defaultProfileId = 1;
+        this.profileId = this.defaultProfileId;
+        // Snapshots are stored as deltas, with a full copy at least every this many
+        this.checkpointInterval = 10;
     }
 
     async init() {
@@ -48,13 +146,24 @@ class DatabaseManager {
                     resolve(null); // Resolve with null instead of rejecting
                 };
 
-                request.onsuccess = () => {
+                request.onsuccess = async () => {
                     this.db = request.result;
-                    resolve(this.db);
+                    try {
+                        await this.loadActiveProfile();
+                        resolve(this.db);
+                    } catch (error) {
+                        // Unusable like a database that can't be opened: run without it
+                        console.warn('IndexedDB error:', error);
+                        this.db.close();
+                        this.db = null;
+                        this.isAvailable = false;
+                        resolve(null);
+                    }
                 };
 
                 request.onupgradeneeded = (event) => {
                     const db = event.target.result;
+                    const transaction = event.target.transaction;
 
                     // Snapshots store
                     if (!db.objectStoreNames.contains('snapshots')) {
@@ -66,6 +175,30 @@ class DatabaseManager {
                     if (!db.objectStoreNames.contains('settings')) {
                         db.createObjectStore('settings', { keyPath: 'key' });
                     }
+
+                    // v2: profiles, one per tracked Instagram account
+                    if (!db.objectStoreNames.contains('profiles')) {
+                        const profiles = db.createObjectStore('profiles', { keyPath: 'id', autoIncrement: true });
+                        profiles.add({ id: this.defaultProfileId, name: 'Default', createdAt: new Date().toISOString() });
+                    }
+
+                    const snapshots = transaction.objectStore('snapshots');
+                    if (!snapshots.indexNames.contains('profileId')) {
+                        snapshots.createIndex('profileId', 'profileId', { unique: false });
+                    }
+
+                    // v3: snapshot lists live apart from their metadata, as deltas
+                    if (!db.objectStoreNames.contains('snapshotData')) {
+                        const data = db.createObjectStore('snapshotData', { keyPath: 'id' });
+                        data.createIndex('profileId', 'profileId', { unique: false });
+                    }
+
+                    if (event.oldVersion === 1) {
+                        this.migrateToProfiles(transaction);
+                    }
+                    if (event.oldVersion === 1 || event.oldVersion === 2) {
+                        this.migrateToDeltas(transaction);
+                    }
                 };
             } catch (error) {
                 console.warn('IndexedDB initialization failed:', error);
@@ -75,327 +208,1506 @@ class DatabaseManager {
         });
     }
 
-    async saveSnapshot(followers, following) {
-        if (!this.isAvailable || !this.db) {
-            console.warn('Database not available, snapshot not saved');
-            return null;
-        }
+    /**
+     * Move the v1 global whitelist into the default profile (v1 snapshots
+     * get their profile in migrateToDeltas)
+     */
+    migrateToProfiles(transaction) {
+        const settings = transaction.objectStore('settings');
+        const request = settings.get('whitelist');
+        request.onsuccess = () => {
+            if (!request.result) return;
+            settings.put({ key: this.profileSettingKey('whitelist', this.defaultProfileId), value: request.result.value });
+            settings.delete('whitelist');
+        };
+    }
 
-        return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction(['snapshots'], 'readwrite');
-            const store = transaction.objectStore('snapshots');
+    /**
+     * Split v1/v2 snapshots, which held their full lists, into metadata and
+     * delta-encoded data
+     */
+    migrateToDeltas(transaction) {
+        const snapshots = transaction.objectStore('snapshots');
+        const data = transaction.objectStore('snapshotData');
+        const request = snapshots.getAll();
+
+        request.onsuccess = () => {
+            const byProfile = new Map();
+            request.result.forEach(snapshot => {
+                const profileId = snapshot.profileId ?? this.defaultProfileId;
+                byProfile.set(profileId, [...(byProfile.get(profileId) || []), { ...snapshot, profileId }]);
+            });
 
-            const snapshot = {
-                date: new Date().toISOString(),
-                followers: followers,
-                following: following
-            };
+            byProfile.forEach(profileSnapshots => {
+                let parent = null;
+                DatabaseManager.sortByDate(profileSnapshots).forEach(({ followers, following, relationships = {}, ...meta }) => {
+                    const lists = { followers, following, relationships };
+                    const encoded = this.encodeSnapshot(lists, parent);
+                    data.put({ id: meta.id, profileId: meta.profileId, ...encoded.data });
+                    snapshots.put({ ...meta, ...encoded.stats });
+                    parent = { id: meta.id, depth: encoded.data.depth, ...lists };
+                });
+            });
+        };
+    }
 
-            const request = store.add(snapshot);
-            request.onsuccess = () => resolve(request.result);
-            request.onerror = () => reject(request.error);
-        });
+    // Profile methods
+    profileSettingKey(key, profileId = this.profileId) {
+        return `${profileId}:${key}`;
     }
 
-    async getSnapshots() {
+    async loadActiveProfile() {
+        const profiles = await this.getProfiles();
+        const saved = await this.getSetting('activeProfile');
+        this.profileId = profiles.some(p => p.id === saved) ? saved : this.defaultProfileId;
+    }
+
+    async getProfiles() {
         if (!this.isAvailable || !this.db) {
             return [];
         }
 
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction(['snapshots'], 'readonly');
-            const store = transaction.objectStore('snapshots');
-            const request = store.getAll();
-
+            const transaction = this.db.transaction(['profiles'], 'readonly');
+            const request = transaction.objectStore('profiles').getAll();
             request.onsuccess = () => resolve(request.result);
             request.onerror = () => reject(request.error);
         });
     }
 
-    async getLatestSnapshot() {
-        const snapshots = await this.getSnapshots();
-        if (snapshots.length === 0) return null;
-        return snapshots.sort((a, b) => new Date(b.date) - new Date(a.date))[0];
-    }
+    async createProfile(name) {
+        if (!this.isAvailable || !this.db) {
+            return null;
+        }
 
-    async getPreviousSnapshot() {
-        const snapshots = await this.getSnapshots();
-        if (snapshots.length < 2) return null;
-        const sorted = snapshots.sort((a, b) => new Date(b.date) - new Date(a.date));
-        return sorted[1];
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['profiles'], 'readwrite');
+            const request = transaction.objectStore('profiles').add({ name, createdAt: new Date().toISOString() });
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
     }
 
-    async saveSetting(key, value) {
+    async renameProfile(id, name) {
         if (!this.isAvailable || !this.db) {
             return;
         }
 
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction(['settings'], 'readwrite');
-            const store = transaction.objectStore('settings');
-            const request = store.put({ key, value });
-            request.onsuccess = () => resolve();
-            request.onerror = () => reject(request.error);
+            const transaction = this.db.transaction(['profiles'], 'readwrite');
+            const store = transaction.objectStore('profiles');
+            const getRequest = store.get(id);
+            getRequest.onsuccess = () => {
+                if (!getRequest.result) {
+                    reject(new Error('Profile not found'));
+                    return;
+                }
+                const putRequest = store.put({ ...getRequest.result, name });
+                putRequest.onsuccess = () => resolve();
+                putRequest.onerror = () => reject(putRequest.error);
+            };
+            getRequest.onerror = () => reject(getRequest.error);
         });
     }
 
-    async getSetting(key) {
+    /**
+     * Delete a profile together with its snapshots and settings
+     */
+    async deleteProfile(id) {
         if (!this.isAvailable || !this.db) {
-            return null;
+            return;
         }
 
-        return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction(['settings'], 'readonly');
-            const store = transaction.objectStore('settings');
-            const request = store.get(key);
-            request.onsuccess = () => resolve(request.result?.value);
-            request.onerror = () => reject(request.error);
+        const profiles = await this.getProfiles();
+        if (profiles.length <= 1) {
+            throw new Error('The last profile cannot be deleted');
+        }
+
+        await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['profiles', 'snapshots', 'snapshotData', 'settings'], 'readwrite');
+            transaction.objectStore('profiles').delete(id);
+
+            ['snapshots', 'snapshotData'].forEach(storeName => {
+                const index = transaction.objectStore(storeName).index('profileId');
+                index.openCursor(IDBKeyRange.only(id)).onsuccess = (event) => {
+                    const cursor = event.target.result;
+                    if (!cursor) return;
+                    cursor.delete();
+                    cursor.continue();
+                };
+            });
+
+            const prefix = this.profileSettingKey('', id);
+            transaction.objectStore('settings').delete(IDBKeyRange.bound(prefix, prefix + '\uffff'));
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
         });
+
+        if (this.profileId === id) {
+            await this.setActiveProfile(profiles.find(p => p.id !== id).id);
+        }
     }
 
-    // Whitelist methods
-    async getWhitelist() {
-        const whitelist = await this.getSetting('whitelist');
-        return whitelist || [];
+    async setActiveProfile(id) {
+        this.profileId = id;
+        await this.saveSetting('activeProfile', id);
     }
 
-    async addToWhitelist(username) {
-        const whitelist = await this.getWhitelist();
-        const lowerUsername = username.toLowerCase();
-        if (!whitelist.includes(lowerUsername)) {
-            whitelist.push(lowerUsername);
-            await this.saveSetting('whitelist', whitelist);
+    // Snapshot methods
+    //
+    // A snapshot is stored as metadata in 'snapshots' (date, label, note,
+    // counts, …) and its lists in 'snapshotData': either in full (a
+    // checkpoint) or as a SnapshotDelta from the snapshot just before it in
+    // the same profile. Listing history only reads the metadata; the lists
+    // are rebuilt on demand.
+
+    /**
+     * Sort snapshots oldest first (in place)
+     */
+    static sortByDate(snapshots) {
+        return snapshots.sort((a, b) => new Date(a.date) - new Date(b.date) || a.id - b.id);
+    }
+
+    /**
+     * Encode a snapshot's lists against its parent, the snapshot before it
+     * @param {Object} lists - { followers, following, relationships }
+     * @param {Object|null} parent - { id, depth, followers, following, relationships }
+     * @param {number} maxDepth - Longest allowed chain of deltas back to a checkpoint
+     * @returns {Object} - { data, stats }: the stored lists and the counts kept in the metadata
+     */
+    encodeSnapshot(lists, parent, maxDepth = this.checkpointInterval - 1) {
+        const { followers, following, relationships = {} } = lists;
+        let data = { parentId: null, depth: 0, followers, following, relationships };
+
+        if (parent && parent.depth + 1 <= maxDepth) {
+            const delta = SnapshotDelta.diff(parent, lists);
+            const total = [followers, following, ...Object.values(relationships)]
+                .reduce((sum, list) => sum + list.length, 0);
+
+            // A delta touching most of the lists isn't worth it, and one that
+            // doesn't rebuild the exact same lists can't be used
+            if (SnapshotDelta.changeCount(delta) * 2 <= total && SnapshotDelta.roundTrips(parent, delta, lists)) {
+                data = { parentId: parent.id, depth: parent.depth + 1, delta };
+            }
         }
+
+        // Likely renames count as neither gained nor lost
+        const changes = parent ? ComparisonEngine.diffWithRenames(parent.followers, followers) : null;
+
+        return {
+            data,
+            stats: {
+                followersCount: followers.length,
+                followingCount: following.length,
+                gained: changes ? changes.added.length : 0,
+                lost: changes ? changes.removed.length : 0,
+                size: DatabaseManager.estimateSnapshotSize(data),
+                fingerprint: fingerprintSnapshot(lists)
+            }
+        };
     }
 
-    async removeFromWhitelist(username) {
-        const whitelist = await this.getWhitelist();
-        const lowerUsername = username.toLowerCase();
-        const newWhitelist = whitelist.filter(u => u !== lowerUsername);
-        await this.saveSetting('whitelist', newWhitelist);
+    /**
+     * @param {Object} relationships - Other relationship lists by type (closeFriends, blocked, …)
+     * @param {string} date - When the export was made (ISO), placing the snapshot in the timeline
+     */
+    async saveSnapshot(followers, following, relationships = {}, date = new Date().toISOString()) {
+        if (!this.isAvailable || !this.db) {
+            console.warn('Database not available, snapshot not saved');
+            return null;
+        }
+
+        return this.insertSnapshot({
+            profileId: this.profileId,
+            date,
+            followers,
+            following,
+            relationships
+        });
     }
 
-    async isWhitelisted(username) {
-        const whitelist = await this.getWhitelist();
-        return whitelist.includes(username.toLowerCase());
+    /**
+     * Store a full snapshot in date order within its profile: as a delta from
+     * the snapshot before it, with the snapshot after it (if any) re-based
+     * onto the new one
+     * @param {number|null} id - Id to store it under, or null for a new one
+     * @returns {Promise<number>} - Id of the new snapshot
+     */
+    async insertSnapshot(snapshot, id = null) {
+        const { followers, following, relationships = {} } = snapshot;
+        const lists = { followers, following, relationships };
+        const meta = { ...snapshot };
+        ['id', 'followers', 'following', 'relationships', 'followersCount', 'followingCount', 'gained', 'lost', 'size', 'fingerprint']
+            .forEach(key => delete meta[key]);
+
+        const profileSnapshots = DatabaseManager.sortByDate(await this.getProfileSnapshots(meta.profileId));
+        const date = new Date(meta.date);
+        const previousMeta = profileSnapshots.filter(s => new Date(s.date) <= date).pop() || null;
+        const nextMeta = profileSnapshots.find(s => new Date(s.date) > date) || null;
+
+        const previous = previousMeta ? { id: previousMeta.id, ...await this.rebuildLists(previousMeta.id) } : null;
+        const next = nextMeta ? await this.rebuildLists(nextMeta.id) : null;
+        const encoded = this.encodeSnapshot(lists, previous);
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['snapshots', 'snapshotData'], 'readwrite');
+            const metaStore = transaction.objectStore('snapshots');
+            const dataStore = transaction.objectStore('snapshotData');
+            let newId = null;
+
+            const record = { ...meta, ...encoded.stats };
+            const request = id === null ? metaStore.add(record) : metaStore.put({ ...record, id });
+            request.onsuccess = () => {
+                newId = request.result;
+                dataStore.put({ id: newId, profileId: meta.profileId, ...encoded.data });
+
+                // The next snapshot was a delta from the previous one, re-base it onto this one
+                if (next) {
+                    const parent = { id: newId, depth: encoded.data.depth, ...lists };
+                    const rebased = this.encodeSnapshot(next, parent, Math.min(next.depth, this.checkpointInterval - 1));
+                    dataStore.put({ id: nextMeta.id, profileId: meta.profileId, ...rebased.data });
+                    metaStore.put({ ...nextMeta, ...rebased.stats });
+                }
+            };
+
+            transaction.oncomplete = () => resolve(newId);
+            transaction.onerror = () => reject(transaction.error);
+        });
     }
-}
 
-// ========================================
-// Instagram Data Parser
-// ========================================
-class InstagramDataParser {
     /**
-     * Parse followers from JSON format
+     * Change a snapshot's date, moving it to its new place in the timeline.
+     * Every snapshot whose predecessor changes (the moved one and those after
+     * its old and new places) is re-based in a single transaction, so a
+     * failed move leaves the timeline as it was.
      */
-    static parseFollowersJSON(jsonData) {
-        try {
-            if (!jsonData) {
-                throw new Error('File appears to be empty');
-            }
+    async moveSnapshot(id, date) {
+        const snapshot = await this.getSnapshotInfo(id);
+        if (!snapshot) {
+            throw new Error('Snapshot not found');
+        }
 
-            const users = [];
+        const before = DatabaseManager.sortByDate(await this.getProfileSnapshots(snapshot.profileId));
+        const after = DatabaseManager.sortByDate(before.map(s => (s.id === id ? { ...s, date } : s)));
+        const previousIds = new Map(before.map((s, i) => [s.id, i > 0 ? before[i - 1].id : null]));
+
+        // Read everything first: the lists don't change, only what they're encoded against
+        const cache = new Map();
+        const depths = new Map();
+        const updates = [];
+        for (let i = 0; i < after.length; i++) {
+            const meta = after[i];
+            const previousId = i > 0 ? after[i - 1].id : null;
+            if (meta.id !== id && previousIds.get(meta.id) === previousId) continue;
+
+            const lists = await this.rebuildLists(meta.id, cache);
+            const parent = previousId === null ? null : {
+                ...await this.rebuildLists(previousId, cache),
+                id: previousId,
+                depth: depths.has(previousId) ? depths.get(previousId) : cache.get(previousId).depth
+            };
+            // Snapshots other than the moved one keep their chain at most as
+            // deep as it was, so the ones after them stay within the limit
+            const maxDepth = meta.id === id ? this.checkpointInterval - 1 : Math.min(lists.depth, this.checkpointInterval - 1);
+            const encoded = this.encodeSnapshot(lists, parent, maxDepth);
+            depths.set(meta.id, encoded.data.depth);
+            updates.push({ meta, encoded });
+        }
 
-            if (!Array.isArray(jsonData)) {
-                throw new Error('Expected Instagram export format. File should contain an array of follower data.');
-            }
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['snapshots', 'snapshotData'], 'readwrite');
+            const metaStore = transaction.objectStore('snapshots');
+            const dataStore = transaction.objectStore('snapshotData');
 
-            if (jsonData.length === 0) {
-                return users;
+            try {
+                updates.forEach(({ meta, encoded }) => {
+                    dataStore.put({ id: meta.id, profileId: snapshot.profileId, ...encoded.data });
+                    metaStore.put({ ...meta, ...encoded.stats });
+                });
+            } catch (error) {
+                transaction.abort();
+                reject(error);
+                return;
             }
 
-            const firstItem = jsonData[0];
-            if (!firstItem.string_list_data && !firstItem.value) {
-                throw new Error('Unrecognized file format. Make sure you uploaded the followers_1.json file from Instagram export.');
-            }
+            transaction.oncomplete = () => resolve(id);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
 
-            jsonData.forEach(item => {
-                if (item.string_list_data && Array.isArray(item.string_list_data)) {
-                    item.string_list_data.forEach(data => {
-                        if (data.value) {
-                            users.push({
-                                username: data.value,
-                                timestamp: data.timestamp || null,
-                                href: data.href || null
-                            });
-                        }
-                    });
-                }
-            });
+    async getSnapshotData(id) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['snapshotData'], 'readonly');
+            const request = transaction.objectStore('snapshotData').get(id);
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => reject(request.error);
+        });
+    }
 
-            return users;
-        } catch (error) {
-            console.error('Error parsing followers JSON:', error);
-            throw error;
+    /**
+     * Rebuild the lists of a snapshot by applying its deltas to the checkpoint before it
+     * @param {Map} cache - Lists already rebuilt, by snapshot id, shared when rebuilding several
+     * @returns {Promise<Object>} - { followers, following, relationships, depth }
+     */
+    async rebuildLists(id, cache = new Map()) {
+        const chain = [];
+        let lists = null;
+        let nextId = id;
+
+        while (nextId !== null) {
+            if (cache.has(nextId)) {
+                lists = cache.get(nextId);
+                break;
+            }
+            const record = await this.getSnapshotData(nextId);
+            if (!record) {
+                throw new Error('Snapshot data is missing');
+            }
+            chain.push(record);
+            nextId = record.parentId;
         }
+
+        for (const record of chain.reverse()) {
+            const rebuilt = record.delta
+                ? SnapshotDelta.apply(lists, record.delta)
+                : { followers: record.followers, following: record.following, relationships: record.relationships || {} };
+            lists = { ...rebuilt, depth: record.depth };
+            cache.set(record.id, lists);
+        }
+        return lists;
     }
 
     /**
-     * Parse following from JSON format
+     * Get a snapshot's metadata together with its rebuilt lists
      */
-    static parseFollowingJSON(jsonData) {
-        try {
-            if (!jsonData) {
-                throw new Error('File appears to be empty');
-            }
+    async rebuildSnapshot(meta, cache = new Map()) {
+        const { followers, following, relationships } = await this.rebuildLists(meta.id, cache);
+        return { ...meta, followers, following, relationships };
+    }
+
+    /**
+     * Rebuild several snapshots, oldest first, each one reusing the one before it
+     */
+    async rebuildSnapshots(metas) {
+        const cache = new Map();
+        const snapshots = [];
+        for (const meta of DatabaseManager.sortByDate([...metas])) {
+            snapshots.push(await this.rebuildSnapshot(meta, cache));
+        }
+        return snapshots;
+    }
 
-            const users = [];
+    async getProfileSnapshots(profileId) {
+        if (!this.isAvailable || !this.db) {
+            return [];
+        }
 
-            if (Array.isArray(jsonData)) {
-                if (jsonData.length === 0) {
-                    return users;
-                }
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['snapshots'], 'readonly');
+            const store = transaction.objectStore('snapshots');
+            const request = store.index('profileId').getAll(profileId);
 
-                const firstItem = jsonData[0];
-                if (!firstItem.title && !firstItem.string_list_data && !firstItem.value) {
-                    throw new Error('Unrecognized file format. Make sure you uploaded the following.json file from Instagram export.');
-                }
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
 
-                jsonData.forEach(item => {
-                    if (item.title) {
-                        const data = item.string_list_data?.[0] || {};
-                        users.push({
-                            username: item.title,
-                            timestamp: data.timestamp || null,
-                            href: data.href || null
-                        });
-                    } else if (item.string_list_data && Array.isArray(item.string_list_data)) {
-                        item.string_list_data.forEach(data => {
-                            if (data.value) {
-                                users.push({
-                                    username: data.value,
-                                    timestamp: data.timestamp || null,
-                                    href: data.href || null
-                                });
-                            }
-                        });
-                    }
-                });
-            } else if (jsonData.relationships_following) {
-                jsonData.relationships_following.forEach(item => {
-                    if (item.title) {
-                        const data = item.string_list_data?.[0] || {};
-                        users.push({
-                            username: item.title,
-                            timestamp: data.timestamp || null,
-                            href: data.href || null
-                        });
-                    } else if (item.string_list_data) {
-                        item.string_list_data.forEach(data => {
-                            if (data.value) {
-                                users.push({
-                                    username: data.value,
-                                    timestamp: data.timestamp || null,
-                                    href: data.href || null
-                                });
-                            }
-                        });
-                    }
-                });
-            } else {
-                throw new Error('Expected Instagram export format.');
-            }
+    /**
+     * Get the snapshot metadata of the active profile (without their lists)
+     */
+    async getSnapshots() {
+        return this.getProfileSnapshots(this.profileId);
+    }
 
-            return users;
-        } catch (error) {
-            console.error('Error parsing following JSON:', error);
-            throw error;
+    /**
+     * Get the snapshot metadata of every profile (without their lists)
+     */
+    async getAllSnapshots() {
+        if (!this.isAvailable || !this.db) {
+            return [];
         }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['snapshots'], 'readonly');
+            const request = transaction.objectStore('snapshots').getAll();
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async getLatestSnapshot() {
+        const snapshots = DatabaseManager.sortByDate(await this.getSnapshots());
+        if (snapshots.length === 0) return null;
+        return this.rebuildSnapshot(snapshots[snapshots.length - 1]);
+    }
+
+    async getPreviousSnapshot() {
+        const snapshots = DatabaseManager.sortByDate(await this.getSnapshots());
+        if (snapshots.length < 2) return null;
+        return this.rebuildSnapshot(snapshots[snapshots.length - 2]);
     }
 
     /**
-     * Parse users from HTML format (Instagram HTML export)
-     * HTML format contains links like: <a href="https://www.instagram.com/username">username</a>
+     * Update a snapshot's metadata (label, note)
      */
-    static parseHTML(htmlContent) {
-        try {
-            const users = [];
-            const parser = new DOMParser();
-            const doc = parser.parseFromString(htmlContent, 'text/html');
-
-            // Find all Instagram profile links
-            const links = doc.querySelectorAll('a[href*="instagram.com"]');
-
-            links.forEach(link => {
-                const href = link.getAttribute('href');
-                const username = link.textContent?.trim();
-
-                // Extract username from URL if text content doesn't match
-                if (href && href.includes('instagram.com')) {
-                    // Skip non-profile links (like instagram.com/explore, etc.)
-                    const urlMatch = href.match(/instagram\.com\/([a-zA-Z0-9._]+)\/?$/);
-                    if (urlMatch && urlMatch[1]) {
-                        const extractedUsername = urlMatch[1];
-                        // Use text content if it looks like a username, otherwise use extracted
-                        const finalUsername = username && !username.includes(' ') && username.length < 50
-                            ? username
-                            : extractedUsername;
-
-                        users.push({
-                            username: finalUsername,
-                            timestamp: null,
-                            href: href
-                        });
-                    }
+    async updateSnapshot(id, changes) {
+        if (!this.isAvailable || !this.db) {
+            return null;
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['snapshots'], 'readwrite');
+            const store = transaction.objectStore('snapshots');
+            const getRequest = store.get(id);
+
+            getRequest.onsuccess = () => {
+                if (!getRequest.result) {
+                    reject(new Error('Snapshot not found'));
+                    return;
                 }
-            });
+                const updated = { ...getRequest.result, ...changes, id };
+                const putRequest = store.put(updated);
+                putRequest.onsuccess = () => resolve(updated);
+                putRequest.onerror = () => reject(putRequest.error);
+            };
+            getRequest.onerror = () => reject(getRequest.error);
+        });
+    }
+
+    /**
+     * Delete a snapshot. The snapshot after it was stored as a delta from
+     * it, so that one is re-based onto the snapshot before it.
+     */
+    async deleteSnapshot(id) {
+        if (!this.isAvailable || !this.db) {
+            return;
+        }
+
+        const snapshot = await this.getSnapshotInfo(id);
+        if (!snapshot) return;
+
+        const profileSnapshots = DatabaseManager.sortByDate(await this.getProfileSnapshots(snapshot.profileId));
+        const index = profileSnapshots.findIndex(s => s.id === id);
+        const previousMeta = profileSnapshots[index - 1] || null;
+        const nextMeta = profileSnapshots[index + 1] || null;
+
+        let rebased = null;
+        if (nextMeta) {
+            const next = await this.rebuildLists(nextMeta.id);
+            const previous = previousMeta ? { id: previousMeta.id, ...await this.rebuildLists(previousMeta.id) } : null;
+            rebased = this.encodeSnapshot(next, previous, Math.min(next.depth, this.checkpointInterval - 1));
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['snapshots', 'snapshotData'], 'readwrite');
+            const metaStore = transaction.objectStore('snapshots');
+            const dataStore = transaction.objectStore('snapshotData');
+
+            metaStore.delete(id);
+            dataStore.delete(id);
+            if (rebased) {
+                dataStore.put({ id: nextMeta.id, profileId: snapshot.profileId, ...rebased.data });
+                metaStore.put({ ...nextMeta, ...rebased.stats });
+            }
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Approximate storage used by a snapshot (size of its serialized data in bytes)
+     */
+    static estimateSnapshotSize(snapshot) {
+        return new Blob([JSON.stringify(snapshot)]).size;
+    }
+
+    /**
+     * Find a snapshot of the active profile with the given fingerprint.
+     * Snapshots saved before fingerprints existed get theirs here.
+     * @returns {Promise<Object|null>} - The snapshot's metadata
+     */
+    async findSnapshotByFingerprint(fingerprint) {
+        const snapshots = await this.getSnapshots();
+        const missing = snapshots.filter(s => !s.fingerprint);
+
+        for (const snapshot of await this.rebuildSnapshots(missing)) {
+            const updated = await this.updateSnapshot(snapshot.id, { fingerprint: fingerprintSnapshot(snapshot) });
+            snapshots[snapshots.findIndex(s => s.id === snapshot.id)] = updated;
+        }
+
+        return snapshots.find(s => s.fingerprint === fingerprint) || null;
+    }
+
+    /**
+     * Get a snapshot's metadata (without its lists)
+     */
+    async getSnapshotInfo(id) {
+        if (!this.isAvailable || !this.db) {
+            return null;
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['snapshots'], 'readonly');
+            const store = transaction.objectStore('snapshots');
+            const request = store.get(id);
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Get a snapshot with its rebuilt lists
+     */
+    async getSnapshot(id) {
+        const meta = await this.getSnapshotInfo(id);
+        return meta ? this.rebuildSnapshot(meta) : null;
+    }
+
+    /**
+     * Get all snapshots between two dates (inclusive), oldest first
+     */
+    async getSnapshotsBetween(fromDate, toDate) {
+        const snapshots = await this.getSnapshots();
+        const from = new Date(fromDate);
+        const to = new Date(toDate);
+        return this.rebuildSnapshots(snapshots.filter(s => new Date(s.date) >= from && new Date(s.date) <= to));
+    }
+
+    /**
+     * Get every snapshot of the active profile with its lists, oldest first
+     */
+    async getFullSnapshots() {
+        return this.rebuildSnapshots(await this.getSnapshots());
+    }
+
+    /**
+     * Get the snapshot taken just before the given one (by date)
+     */
+    async getSnapshotBefore(snapshot) {
+        const snapshots = await this.getSnapshots();
+        const date = new Date(snapshot.date);
+        const earlier = snapshots
+            .filter(s => s.id !== snapshot.id && new Date(s.date) < date)
+            .sort((a, b) => new Date(b.date) - new Date(a.date));
+        return earlier[0] ? this.rebuildSnapshot(earlier[0]) : null;
+    }
+
+    async saveSetting(key, value) {
+        if (!this.isAvailable || !this.db) {
+            return;
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['settings'], 'readwrite');
+            const store = transaction.objectStore('settings');
+            const request = store.put({ key, value });
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async getSetting(key) {
+        if (!this.isAvailable || !this.db) {
+            return null;
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['settings'], 'readonly');
+            const store = transaction.objectStore('settings');
+            const request = store.get(key);
+            request.onsuccess = () => resolve(request.result?.value);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async getAllSettings() {
+        if (!this.isAvailable || !this.db) {
+            return [];
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['settings'], 'readonly');
+            const store = transaction.objectStore('settings');
+            const request = store.getAll();
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Backup methods
+    async exportData() {
+        return {
+            profiles: await this.getProfiles(),
+            snapshots: await this.rebuildSnapshots(await this.getAllSnapshots()),
+            settings: await this.getAllSettings()
+        };
+    }
+
+    /**
+     * Merge a backup into the database. Profiles are matched by name,
+     * snapshots whose date already exists in their profile are skipped,
+     * whitelists are combined, other settings are overwritten. Backups
+     * made before profiles existed go into the active profile.
+     * @returns {Object} - { added, skipped } snapshot counts
+     */
+    async importData(data) {
+        if (!this.isAvailable || !this.db) {
+            throw new Error('Database not available');
+        }
+
+        // Map backup profile ids to local ones
+        const profileIds = new Map();
+        const localProfiles = await this.getProfiles();
+        for (const profile of data.profiles || []) {
+            const local = localProfiles.find(p => p.name === profile.name);
+            profileIds.set(profile.id, local ? local.id : await this.createProfile(profile.name));
+        }
+        const resolveProfile = id => profileIds.get(id) ?? this.profileId;
+
+        const existing = await this.getAllSnapshots();
+        const existingKeys = new Set(existing.map(s => `${s.profileId}:${new Date(s.date).getTime()}`));
+        let added = 0;
+        let skipped = 0;
+
+        for (const snapshot of data.snapshots || []) {
+            const profileId = resolveProfile(snapshot.profileId);
+            const key = `${profileId}:${new Date(snapshot.date).getTime()}`;
+            if (existingKeys.has(key)) {
+                skipped++;
+                continue;
+            }
+
+            await this.insertSnapshot({ ...snapshot, profileId });
+            existingKeys.add(key);
+            added++;
+        }
+
+        for (const { key, value } of data.settings || []) {
+            if (key === 'activeProfile') continue;
+
+            // Profile settings are stored as "<profileId>:<key>"; v1 backups had a global whitelist
+            const match = key.match(/^(\d+):(.+)$/);
+            const name = match ? match[2] : key;
+            const targetKey = match || key === 'whitelist'
+                ? this.profileSettingKey(name, resolveProfile(match ? Number(match[1]) : undefined))
+                : key;
+
+            if (name === 'whitelist') {
+                const whitelist = DatabaseManager.normalizeWhitelist(await this.getSetting(targetKey));
+                const known = new Set(whitelist.map(entry => entry.username));
+                const added = DatabaseManager.normalizeWhitelist(value).filter(entry => !known.has(entry.username));
+                await this.saveSetting(targetKey, [...whitelist, ...added]);
+            } else {
+                await this.saveSetting(targetKey, value);
+            }
+        }
+
+        return { added, skipped };
+    }
+
+    // Settings of the active profile
+    async saveProfileSetting(key, value) {
+        return this.saveSetting(this.profileSettingKey(key), value);
+    }
+
+    async getProfileSetting(key) {
+        return this.getSetting(this.profileSettingKey(key));
+    }
+
+    // Whitelist methods
+    //
+    // A profile's whitelist is a list of entries { username, tag, note,
+    // addedAt } with lowercased usernames. Whitelists saved as plain
+    // username arrays read as entries without tag or note.
+
+    static normalizeWhitelistEntry(entry) {
+        const value = typeof entry === 'string' ? { username: entry } : entry || {};
+        const tag = String(value.tag || '').trim().toLowerCase();
+        return {
+            username: String(value.username || '').trim().replace(/^@/, '').toLowerCase(),
+            tag: Object.hasOwn(WHITELIST_TAGS, tag) ? tag : '',
+            note: typeof value.note === 'string' ? value.note.trim() : '',
+            addedAt: value.addedAt || null
+        };
+    }
+
+    static normalizeWhitelist(whitelist) {
+        return (Array.isArray(whitelist) ? whitelist : [])
+            .map(entry => this.normalizeWhitelistEntry(entry))
+            .filter(entry => entry.username);
+    }
+
+    async getWhitelist() {
+        return DatabaseManager.normalizeWhitelist(await this.getProfileSetting('whitelist'));
+    }
+
+    /**
+     * Add entries to the whitelist, or update the tag and note of entries
+     * already on it (only where given)
+     * @param {Array} entries - Usernames or { username, tag, note }
+     * @returns {Promise<Array>} - The updated whitelist
+     */
+    async saveWhitelistEntries(entries) {
+        const byUsername = new Map((await this.getWhitelist()).map(entry => [entry.username, entry]));
+
+        entries.forEach(raw => {
+            const entry = DatabaseManager.normalizeWhitelistEntry(raw);
+            if (!entry.username) return;
+
+            const existing = byUsername.get(entry.username);
+            if (!existing) {
+                byUsername.set(entry.username, { ...entry, addedAt: entry.addedAt || new Date().toISOString() });
+                return;
+            }
+            if (raw.tag !== undefined) existing.tag = entry.tag;
+            if (raw.note !== undefined) existing.note = entry.note;
+        });
+
+        const whitelist = [...byUsername.values()];
+        await this.saveProfileSetting('whitelist', whitelist);
+        return whitelist;
+    }
+
+    async addToWhitelist(username, details = {}) {
+        return this.saveWhitelistEntries([{ username, ...details }]);
+    }
+
+    /**
+     * @param {string|Array<string>} usernames - One or more usernames
+     * @returns {Promise<Array>} - The updated whitelist
+     */
+    async removeFromWhitelist(usernames) {
+        const removed = new Set([].concat(usernames).map(username => username.toLowerCase()));
+        const whitelist = (await this.getWhitelist()).filter(entry => !removed.has(entry.username));
+        await this.saveProfileSetting('whitelist', whitelist);
+        return whitelist;
+    }
+
+    async isWhitelisted(username) {
+        const whitelist = await this.getWhitelist();
+        return whitelist.some(entry => entry.username === username.toLowerCase());
+    }
+
+    // Named user list filter presets of the active profile, as { name, filter }
+
+    async getFilterPresets() {
+        return (await this.getProfileSetting('filterPresets')) || [];
+    }
+
+    /**
+     * Save a preset, replacing one with the same name
+     * @returns {Promise<Array>} - The updated presets
+     */
+    async saveFilterPreset(name, filter) {
+        const presets = (await this.getFilterPresets()).filter(preset => preset.name !== name);
+        presets.push({ name, filter });
+        presets.sort((a, b) => a.name.localeCompare(b.name));
+        await this.saveProfileSetting('filterPresets', presets);
+        return presets;
+    }
+
+    async deleteFilterPreset(name) {
+        const presets = (await this.getFilterPresets()).filter(preset => preset.name !== name);
+        await this.saveProfileSetting('filterPresets', presets);
+        return presets;
+    }
+}
+
+// ========================================
+// Backup File (optional Web Crypto encryption)
+// ========================================
+class BackupFile {
+    static FORMAT = 'ghosttrace-backup';
+    static VERSION = 1;
+    static ITERATIONS = 250000;
+
+    /**
+     * Wrap database contents in a backup file, encrypted when a passphrase is given
+     * @returns {Promise<string>} - JSON text of the backup file
+     */
+    static async create(payload, passphrase = '') {
+        const file = {
+            format: this.FORMAT,
+            version: this.VERSION,
+            createdAt: new Date().toISOString(),
+            encrypted: Boolean(passphrase)
+        };
+
+        if (!passphrase) {
+            return JSON.stringify({ ...file, payload });
+        }
+
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const key = await this.deriveKey(passphrase, salt, this.ITERATIONS);
+        const plaintext = new TextEncoder().encode(JSON.stringify(payload));
+        const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintext);
+
+        return JSON.stringify({
+            ...file,
+            cipher: 'AES-GCM',
+            kdf: 'PBKDF2-SHA256',
+            iterations: this.ITERATIONS,
+            salt: this.toBase64(salt),
+            iv: this.toBase64(iv),
+            data: this.toBase64(new Uint8Array(ciphertext))
+        });
+    }
+
+    /**
+     * Parse a backup file and check it is one of ours
+     */
+    static parse(text) {
+        const file = JSON.parse(text);
+        if (!file || file.format !== this.FORMAT) {
+            throw new Error('This is not a GhostTrace backup file.');
+        }
+        if (file.version > this.VERSION) {
+            throw new Error('This backup was made with a newer version of GhostTrace.');
+        }
+        return file;
+    }
+
+    /**
+     * Get the database contents of a parsed backup file, decrypting if needed
+     */
+    static async open(file, passphrase = '') {
+        if (!file.encrypted) {
+            return file.payload;
+        }
+
+        if (!passphrase) {
+            throw new Error('This backup is encrypted. Please enter its passphrase.');
+        }
+
+        const key = await this.deriveKey(passphrase, this.fromBase64(file.salt), file.iterations);
+        try {
+            const plaintext = await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: this.fromBase64(file.iv) },
+                key,
+                this.fromBase64(file.data)
+            );
+            return JSON.parse(new TextDecoder().decode(plaintext));
+        } catch (error) {
+            throw new Error('Wrong passphrase or corrupted backup file.');
+        }
+    }
+
+    static async deriveKey(passphrase, salt, iterations) {
+        const material = await crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+        );
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    static toBase64(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    static fromBase64(base64) {
+        return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+    }
+}
+
+// ========================================
+// Analysis Worker
+// ========================================
+
+/**
+ * Runs AnalysisTasks in a Web Worker so big accounts don't freeze the page.
+ * Falls back to the main thread if the worker can't be started (e.g. when
+ * the app is opened from file://).
+ */
+class AnalysisWorker {
+    constructor(url = './worker.js') {
+        this.nextId = 1;
+        this.pending = new Map();
+        this.worker = null;
+
+        try {
+            this.worker = new Worker(url);
+            this.worker.addEventListener('message', (e) => this.handleMessage(e.data));
+            this.worker.addEventListener('error', (e) => {
+                e.preventDefault();
+                this.fallBack();
+            });
+        } catch (error) {
+            this.worker = null;
+        }
+    }
+
+    /**
+     * Run a task
+     * @param {string} task - Name of an AnalysisTasks entry
+     * @param {Object} payload - Task input
+     * @param {Function} onProgress - Called with (fraction, stage)
+     * @returns {Promise} - The task result
+     */
+    run(task, payload, onProgress = () => {}) {
+        if (!this.worker) {
+            return this.runInline(task, payload, onProgress);
+        }
+
+        return new Promise((resolve, reject) => {
+            const id = this.nextId++;
+            this.pending.set(id, { task, payload, onProgress, resolve, reject });
+            this.worker.postMessage({ id, task, payload });
+        });
+    }
+
+    async runInline(task, payload, onProgress) {
+        return AnalysisTasks[task](payload, onProgress);
+    }
+
+    handleMessage({ id, progress, result, error }) {
+        const job = this.pending.get(id);
+        if (!job) return;
+
+        if (progress) {
+            job.onProgress(progress.done, progress.stage);
+            return;
+        }
+
+        this.pending.delete(id);
+        if (error) {
+            job.reject(error.name === 'SyntaxError' ? new SyntaxError(error.message) : new Error(error.message));
+        } else {
+            job.resolve(result);
+        }
+    }
+
+    fallBack() {
+        this.worker.terminate();
+        this.worker = null;
+
+        // Anything sent before the worker failed is run here instead
+        const jobs = [...this.pending.values()];
+        this.pending.clear();
+        jobs.forEach(job => {
+            this.runInline(job.task, job.payload, job.onProgress).then(job.resolve, job.reject);
+        });
+    }
+}
+
+// ========================================
+// Growth Chart (SVG)
+// ========================================
+class GrowthChart {
+    /**
+     * @param {HTMLElement} container - Element the chart is rendered into
+     * @param {Function} onSelect - Called with the snapshot id of a clicked point
+     */
+    constructor(container, onSelect) {
+        this.container = container;
+        this.onSelect = onSelect;
+        this.width = 600;
+        this.height = 260;
+        this.padding = { top: 16, right: 16, bottom: 28, left: 48 };
+        this.barsHeight = 60;
+    }
+
+    render(series) {
+        this.container.hidden = series.length < 2;
+        if (series.length < 2) {
+            this.container.innerHTML = '';
+            return;
+        }
+
+        const { top, right, bottom, left } = this.padding;
+        const plotWidth = this.width - left - right;
+        const linesBottom = this.height - bottom - this.barsHeight - 12;
+        const barsMid = this.height - bottom - this.barsHeight / 2;
+
+        const times = series.map(p => new Date(p.date).getTime());
+        const minTime = Math.min(...times);
+        const timeSpan = Math.max(...times) - minTime || 1;
+        const x = time => left + ((time - minTime) / timeSpan) * plotWidth;
+
+        const counts = series.flatMap(p => [p.followers, p.following]);
+        const minCount = Math.min(...counts);
+        const countSpan = Math.max(...counts) - minCount || 1;
+        const y = count => linesBottom - ((count - minCount) / countSpan) * (linesBottom - top);
+
+        const maxChange = Math.max(1, ...series.flatMap(p => [p.gained, p.lost]));
+        const barScale = (this.barsHeight / 2 - 2) / maxChange;
+        const barWidth = Math.max(2, Math.min(16, plotWidth / series.length / 2));
+
+        const linePath = key => series
+            .map((p, i) => `${i === 0 ? 'M' : 'L'}${x(times[i]).toFixed(1)},${y(p[key]).toFixed(1)}`)
+            .join(' ');
+
+        // Evenly split hover columns between neighbouring points
+        const columnBounds = series.map((p, i) => {
+            const start = i === 0 ? left : (x(times[i - 1]) + x(times[i])) / 2;
+            const end = i === series.length - 1 ? left + plotWidth : (x(times[i]) + x(times[i + 1])) / 2;
+            return { start, end };
+        });
+
+        const formatDate = date => new Date(date).toLocaleDateString();
+
+        this.container.innerHTML = `
+            <svg class="chart-svg" viewBox="0 0 ${this.width} ${this.height}" role="img" aria-label="Follower growth across ${series.length} snapshots">
+                <line class="chart-axis" x1="${left}" y1="${linesBottom}" x2="${left + plotWidth}" y2="${linesBottom}" />
+                <line class="chart-axis" x1="${left}" y1="${barsMid}" x2="${left + plotWidth}" y2="${barsMid}" />
+                <text class="chart-label" x="${left - 6}" y="${top + 4}" text-anchor="end">${Math.max(...counts).toLocaleString()}</text>
+                <text class="chart-label" x="${left - 6}" y="${linesBottom}" text-anchor="end">${minCount.toLocaleString()}</text>
+                <text class="chart-label" x="${left - 6}" y="${barsMid + 4}" text-anchor="end">±${maxChange.toLocaleString()}</text>
+                <text class="chart-label" x="${left}" y="${this.height - 8}">${escapeHtml(formatDate(series[0].date))}</text>
+                <text class="chart-label" x="${left + plotWidth}" y="${this.height - 8}" text-anchor="end">${escapeHtml(formatDate(series[series.length - 1].date))}</text>
+                ${series.map((p, i) => `
+                    <rect class="chart-bar-gained" x="${(x(times[i]) - barWidth / 2).toFixed(1)}" y="${(barsMid - p.gained * barScale).toFixed(1)}" width="${barWidth.toFixed(1)}" height="${(p.gained * barScale).toFixed(1)}" />
+                    <rect class="chart-bar-lost" x="${(x(times[i]) - barWidth / 2).toFixed(1)}" y="${barsMid}" width="${barWidth.toFixed(1)}" height="${(p.lost * barScale).toFixed(1)}" />
+                `).join('')}
+                <path class="chart-line chart-line-followers" d="${linePath('followers')}" />
+                <path class="chart-line chart-line-following" d="${linePath('following')}" />
+                ${series.map((p, i) => `
+                    <circle class="chart-point chart-point-followers" cx="${x(times[i]).toFixed(1)}" cy="${y(p.followers).toFixed(1)}" r="3.5" />
+                    <circle class="chart-point chart-point-following" cx="${x(times[i]).toFixed(1)}" cy="${y(p.following).toFixed(1)}" r="3.5" />
+                `).join('')}
+                ${series.map((p, i) => `
+                    <rect class="chart-hit" data-index="${i}" x="${columnBounds[i].start.toFixed(1)}" y="${top}" width="${(columnBounds[i].end - columnBounds[i].start).toFixed(1)}" height="${this.height - top - bottom}"
+                        tabindex="0" role="button" aria-label="Load snapshot from ${escapeHtml(formatDate(p.date))}: ${p.followers} followers, ${p.following} following, ${p.gained} gained, ${p.lost} lost" />
+                `).join('')}
+            </svg>
+            <div class="chart-tooltip" hidden></div>
+            <div class="chart-legend">
+                <span class="chart-legend-item chart-legend-followers">Followers</span>
+                <span class="chart-legend-item chart-legend-following">Following</span>
+                <span class="chart-legend-item chart-legend-gained">Gained</span>
+                <span class="chart-legend-item chart-legend-lost">Lost</span>
+            </div>
+        `;
+
+        const svg = this.container.querySelector('.chart-svg');
+        const tooltip = this.container.querySelector('.chart-tooltip');
+
+        const showTooltip = (i) => {
+            const p = series[i];
+            tooltip.innerHTML = `
+                <strong>${escapeHtml(formatDate(p.date))}</strong>
+                <span>👥 ${p.followers.toLocaleString()} followers</span>
+                <span>➡️ ${p.following.toLocaleString()} following</span>
+                <span>🌟 +${p.gained.toLocaleString()} • 👻 −${p.lost.toLocaleString()}</span>
+                <span class="chart-tooltip-hint">Click to load</span>
+            `;
+            // Position relative to the rendered (scaled) SVG
+            const scale = svg.getBoundingClientRect().width / this.width;
+            tooltip.style.left = `${x(times[i]) * scale}px`;
+            tooltip.hidden = false;
+        };
+
+        this.container.querySelectorAll('.chart-hit').forEach(hit => {
+            const i = Number(hit.dataset.index);
+            hit.addEventListener('mouseenter', () => showTooltip(i));
+            hit.addEventListener('focus', () => showTooltip(i));
+            hit.addEventListener('mouseleave', () => { tooltip.hidden = true; });
+            hit.addEventListener('blur', () => { tooltip.hidden = true; });
+            hit.addEventListener('click', () => this.onSelect(series[i].id));
+            hit.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    this.onSelect(series[i].id);
+                }
+            });
+        });
+    }
+}
+
+// ========================================
+// Share Card (Canvas)
+// ========================================
+
+/**
+ * A square image summarizing an analysis, drawn on a canvas in the colors
+ * of the current theme, for downloading as a PNG or sharing
+ */
+class ShareCard {
+    static STATS = {
+        followers: { icon: '👥', label: 'Followers', value: data => data.followers.length },
+        following: { icon: '➡️', label: 'Following', value: data => data.following.length },
+        unfollowers: { icon: '👻', label: 'Unfollowers', value: data => data.unfollowers.length },
+        newFollowers: { icon: '🌟', label: 'New followers', value: data => data.newFollowers.length },
+        notFollowingBack: { icon: '💔', label: "Don't follow back", value: data => data.notFollowingBack.length },
+        followBackRate: {
+            icon: '🤝',
+            label: 'Follow back',
+            value: data => {
+                const followers = new Set(data.followers.map(u => u.username.toLowerCase()));
+                const mutual = data.following.filter(u => followers.has(u.username.toLowerCase())).length;
+                return `${data.following.length ? Math.round((mutual / data.following.length) * 100) : 0}%`;
+            }
+        }
+    };
+
+    // Latest unfollowers listed on the card
+    static MAX_NAMES = 3;
+
+    static SITE = 'g-pappas.github.io/Ghost_Trace';
+
+    /**
+     * @param {HTMLCanvasElement} canvas - Canvas the card is drawn on, sized to the card
+     */
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.size = 1080;
+        this.padding = 72;
+        canvas.width = this.size;
+        canvas.height = this.size;
+    }
+
+    /**
+     * @param {Object} data - The analysis ({ followers, following, unfollowers, newFollowers, notFollowingBack })
+     * @param {Object} options - { stats: keys of STATS, showNames, hideNames, date }
+     */
+    render(data, { stats, showNames, hideNames, date }) {
+        const ctx = this.canvas.getContext('2d');
+        const colors = this.themeColors();
+        const font = getComputedStyle(document.body).fontFamily;
+        const { size, padding } = this;
+        const width = size - padding * 2;
+
+        ctx.fillStyle = colors.background;
+        ctx.fillRect(0, 0, size, size);
+
+        const gradient = ctx.createLinearGradient(0, 0, size, 0);
+        gradient.addColorStop(0, colors.gradient[0]);
+        gradient.addColorStop(0.5, colors.gradient[1]);
+        gradient.addColorStop(1, colors.gradient[2]);
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, 0, size, 16);
+
+        ctx.textBaseline = 'alphabetic';
+        ctx.textAlign = 'left';
+        ctx.fillStyle = colors.text;
+        ctx.font = `700 64px ${font}`;
+        ctx.fillText('👻 GhostTrace', padding, padding + 64);
+        ctx.fillStyle = colors.muted;
+        ctx.font = `400 32px ${font}`;
+        ctx.fillText(`My Instagram stats • ${new Date(date).toLocaleDateString()}`, padding, padding + 116);
+
+        // Two columns of tiles; the names list takes the room of the tiles it displaces
+        const names = showNames ? data.unfollowers.slice(0, ShareCard.MAX_NAMES) : [];
+        const rows = Math.max(1, Math.ceil(stats.length / 2));
+        const gap = 24;
+        const top = padding + 168;
+        const bottom = size - padding - 64 - (names.length ? 96 + names.length * 52 : 0);
+        const tileWidth = (width - gap) / 2;
+        const tileHeight = Math.min(220, (bottom - top - gap * (rows - 1)) / rows);
+
+        stats.forEach((key, i) => {
+            const stat = ShareCard.STATS[key];
+            const x = padding + (i % 2) * (tileWidth + gap);
+            const y = top + Math.floor(i / 2) * (tileHeight + gap);
+            const value = stat.value(data);
+
+            ctx.fillStyle = colors.tile;
+            this.roundRect(ctx, x, y, tileWidth, tileHeight, 28);
+            ctx.fill();
+
+            ctx.fillStyle = colors.accent;
+            ctx.font = `800 ${Math.round(tileHeight * 0.38)}px ${font}`;
+            ctx.fillText(typeof value === 'number' ? value.toLocaleString() : value, x + 32, y + tileHeight * 0.55);
+            ctx.fillStyle = colors.muted;
+            ctx.font = `500 30px ${font}`;
+            ctx.fillText(`${stat.icon} ${stat.label}`, x + 32, y + tileHeight - 32);
+        });
+
+        if (names.length) {
+            let y = top + rows * (tileHeight + gap) + 48;
+            ctx.fillStyle = colors.text;
+            ctx.font = `700 34px ${font}`;
+            ctx.fillText('Latest unfollowers', padding, y);
+            ctx.fillStyle = colors.muted;
+            ctx.font = `400 34px ${font}`;
+            names.forEach(user => {
+                y += 52;
+                ctx.fillText(hideNames ? ShareCard.maskUsername() : `@${user.username}`, padding, y);
+            });
+        }
+
+        ctx.fillStyle = colors.muted;
+        ctx.font = `400 28px ${font}`;
+        ctx.fillText('Tracked privately with GhostTrace', padding, size - padding);
+        ctx.textAlign = 'right';
+        ctx.fillText(ShareCard.SITE, size - padding, size - padding);
+    }
+
+    /**
+     * Placeholder shown instead of a username, the same for every name so
+     * the length doesn't leak
+     */
+    static maskUsername() {
+        return '@••••••••';
+    }
+
+    themeColors() {
+        const style = getComputedStyle(document.documentElement);
+        const color = (name, fallback) => style.getPropertyValue(name).trim() || fallback;
+        const dark = document.documentElement.getAttribute('data-theme') === 'dark';
+
+        return {
+            background: color('--bg-primary', dark ? '#0a0a0f' : '#fafafa'),
+            tile: color('--bg-secondary', dark ? '#16161d' : '#ffffff'),
+            text: color('--text-primary', dark ? '#f8fafc' : '#0f172a'),
+            muted: color('--text-secondary', dark ? '#94a3b8' : '#64748b'),
+            accent: color('--accent-primary', '#8b5cf6'),
+            gradient: [color('--gradient-start', '#8b5cf6'), color('--gradient-mid', '#ec4899'), color('--gradient-end', '#f59e0b')]
+        };
+    }
+
+    roundRect(ctx, x, y, width, height, radius) {
+        ctx.beginPath();
+        ctx.moveTo(x + radius, y);
+        ctx.arcTo(x + width, y, x + width, y + height, radius);
+        ctx.arcTo(x + width, y + height, x, y + height, radius);
+        ctx.arcTo(x, y + height, x, y, radius);
+        ctx.arcTo(x, y, x + width, y, radius);
+        ctx.closePath();
+    }
+
+    toBlob() {
+        return new Promise((resolve, reject) => {
+            this.canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not create the image'))), 'image/png');
+        });
+    }
+}
+
+// ========================================
+// User List Filters
+// ========================================
+
+/**
+ * Sorting and filtering of the accounts in a result tab. A filter is a plain
+ * object (see defaults()) so it can be kept per tab and saved as a preset.
+ */
+class UserListFilter {
+    static defaults() {
+        return {
+            query: '',
+            match: 'text',     // text | wildcard | regex
+            sort: 'default',   // default | username | newest | oldest | waiting
+            from: '',          // YYYY-MM-DD, inclusive
+            to: '',            // YYYY-MM-DD, inclusive
+            status: ''         // '' | whitelisted | notWhitelisted | a WHITELIST_TAGS key
+        };
+    }
+
+    static normalize(filter) {
+        const defaults = UserListFilter.defaults();
+        return Object.fromEntries(Object.keys(defaults).map(key => [
+            key, typeof filter?.[key] === 'string' ? filter[key] : defaults[key]
+        ]));
+    }
+
+    /**
+     * Whether anything other than the search text differs from the defaults
+     */
+    static isRefined(filter) {
+        const defaults = UserListFilter.defaults();
+        return Object.keys(defaults).some(key => key !== 'query' && filter[key] !== defaults[key]);
+    }
+
+    /**
+     * Build the username test for a search query
+     * @returns {Function|null} - null if the regex doesn't compile
+     */
+    static matcher(query, match) {
+        if (!query) return () => true;
+
+        if (match === 'regex' || match === 'wildcard') {
+            let source = query;
+            if (match === 'wildcard') {
+                // * is any run of characters and ? one character; the pattern
+                // covers the whole username, like a shell glob
+                source = '^' + query.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.') + '$';
+            }
+            try {
+                const regex = new RegExp(source, 'i');
+                return username => regex.test(username);
+            } catch {
+                return null;
+            }
+        }
+
+        const needle = query.toLowerCase();
+        return username => username.toLowerCase().includes(needle);
+    }
+
+    /**
+     * Unix seconds at the start of a YYYY-MM-DD day (local time)
+     */
+    static dayStart(value) {
+        const time = new Date(`${value}T00:00`).getTime();
+        return Number.isNaN(time) ? null : time / 1000;
+    }
+
+    /**
+     * Filter and sort a tab's users
+     * @param {Array} users - Users { username, timestamp }
+     * @param {Object} filter - See defaults()
+     * @param {Object} context - { whitelist: Map of entries, followers: Set
+     *     and following: Map of lowercase usernames } of the current analysis
+     * @returns {Object} - { users, invalidPattern }
+     */
+    static apply(users, filter, { whitelist = new Map(), followers = new Set(), following = new Map() } = {}) {
+        const test = UserListFilter.matcher(filter.query, filter.match);
+        const from = filter.from ? UserListFilter.dayStart(filter.from) : null;
+        const to = filter.to ? UserListFilter.dayStart(filter.to) : null;
+        const until = to === null ? null : to + 24 * 60 * 60;
+
+        let result = users.filter(user => {
+            // Renamed accounts are also found by their old username
+            if (test && !test(user.username) && !(user.previousUsername && test(user.previousUsername))) return false;
+
+            if (from !== null || until !== null) {
+                // Accounts without a date can't be placed in a range
+                if (!user.timestamp) return false;
+                if (from !== null && user.timestamp < from) return false;
+                if (until !== null && user.timestamp >= until) return false;
+            }
+
+            if (filter.status) {
+                const entry = whitelist.get(user.username.toLowerCase());
+                if (filter.status === 'whitelisted') return Boolean(entry);
+                if (filter.status === 'notWhitelisted') return !entry;
+                return entry?.tag === filter.status;
+            }
+            return true;
+        });
+
+        const byTimestamp = direction => (a, b) => {
+            // Undated accounts go last either way
+            if (!a.timestamp || !b.timestamp) return (a.timestamp ? -1 : 0) + (b.timestamp ? 1 : 0);
+            return direction * (a.timestamp - b.timestamp);
+        };
+
+        switch (filter.sort) {
+            case 'username':
+                result = [...result].sort((a, b) => a.username.localeCompare(b.username));
+                break;
+            case 'newest':
+                result = [...result].sort(byTimestamp(-1));
+                break;
+            case 'oldest':
+                result = [...result].sort(byTimestamp(1));
+                break;
+            case 'waiting': {
+                // Longest followed without following back first; accounts
+                // that follow back or aren't followed go last
+                const waitingSince = user => {
+                    const key = user.username.toLowerCase();
+                    return followers.has(key) ? null : following.get(key)?.timestamp || null;
+                };
+                result = result
+                    .map(user => ({ user, timestamp: waitingSince(user) }))
+                    .sort(byTimestamp(1))
+                    .map(item => item.user);
+                break;
+            }
+        }
+
+        return { users: result, invalidPattern: test === null };
+    }
+}
 
-            // Remove duplicates (same username)
-            const uniqueUsers = [];
-            const seen = new Set();
-            users.forEach(user => {
-                const lower = user.username.toLowerCase();
-                if (!seen.has(lower)) {
-                    seen.add(lower);
-                    uniqueUsers.push(user);
-                }
-            });
+// ========================================
+// Virtual List
+// ========================================
 
-            return uniqueUsers;
-        } catch (error) {
-            console.error('Error parsing HTML:', error);
-            throw error;
-        }
+/**
+ * Renders only the rows of a long list that are scrolled into view (plus a
+ * few either side), so tabs with 100k+ accounts stay responsive. All rows
+ * are assumed to be as tall as the first one.
+ */
+class VirtualList {
+    constructor(viewport, list) {
+        this.viewport = viewport;
+        this.list = list;
+        this.items = [];
+        this.renderRow = null;
+        this.rowHeight = 0;
+        this.overscan = 8;
+        this.range = null;
+        this.frame = null;
+
+        this.viewport.addEventListener('scroll', () => this.scheduleRender());
+        window.addEventListener('resize', () => {
+            this.rowHeight = 0;
+            this.range = null;
+            this.scheduleRender();
+        });
     }
 
     /**
-     * Legacy method for backward compatibility - routes to appropriate parser
+     * Show a new list of items
+     * @param {Array} items - Items of the list
+     * @param {Function} renderRow - Builds the element of one item
      */
-    static parseFollowers(data, isHTML = false) {
-        if (isHTML) {
-            return this.parseHTML(data);
-        }
-        return this.parseFollowersJSON(data);
+    setItems(items, renderRow) {
+        this.items = items;
+        this.renderRow = renderRow;
+        this.range = null;
+        this.render();
     }
 
-    /**
-     * Legacy method for backward compatibility - routes to appropriate parser
-     */
-    static parseFollowing(data, isHTML = false) {
-        if (isHTML) {
-            return this.parseHTML(data);
-        }
-        return this.parseFollowingJSON(data);
+    scrollToTop() {
+        this.viewport.scrollTop = 0;
     }
-}
 
-// ========================================
-// Comparison Engine
-// ========================================
-class ComparisonEngine {
-    static findUnfollowers(previousFollowers, currentFollowers) {
-        const currentSet = new Set(currentFollowers.map(u => u.username.toLowerCase()));
-        return previousFollowers.filter(u => !currentSet.has(u.username.toLowerCase()));
+    scheduleRender() {
+        if (this.frame) return;
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            this.render();
+        });
     }
 
-    static findNewFollowers(previousFollowers, currentFollowers) {
-        const previousSet = new Set(previousFollowers.map(u => u.username.toLowerCase()));
-        return currentFollowers.filter(u => !previousSet.has(u.username.toLowerCase()));
+    measureRowHeight() {
+        const row = this.renderRow(this.items[0]);
+        this.list.replaceChildren(row);
+
+        // A hidden list measures 0, so it is measured again on the next render
+        this.rowHeight = row.getBoundingClientRect().height;
+        return this.rowHeight || 72;
     }
 
-    static findNotFollowingBack(followers, following) {
-        const followersSet = new Set(followers.map(u => u.username.toLowerCase()));
-        return following.filter(u => !followersSet.has(u.username.toLowerCase()));
+    render() {
+        if (this.items.length === 0) {
+            this.list.replaceChildren();
+            this.list.style.height = '';
+            this.list.style.paddingTop = '';
+            return;
+        }
+
+        const rowHeight = this.rowHeight || this.measureRowHeight();
+        const visibleRows = Math.ceil((this.viewport.clientHeight || 400) / rowHeight);
+        const start = Math.max(0, Math.floor(this.viewport.scrollTop / rowHeight) - this.overscan);
+        const end = Math.min(this.items.length, start + visibleRows + this.overscan * 2);
+
+        if (this.range && this.range.start === start && this.range.end === end) return;
+        this.range = { start, end };
+
+        // The list keeps the full height so the scrollbar matches the whole list
+        this.list.style.height = `${this.items.length * rowHeight}px`;
+        this.list.style.paddingTop = `${start * rowHeight}px`;
+
+        const fragment = document.createDocumentFragment();
+        for (let i = start; i < end; i++) {
+            fragment.appendChild(this.renderRow(this.items[i]));
+        }
+        this.list.replaceChildren(fragment);
     }
 }
 
@@ -408,15 +1720,25 @@ class UIController {
         this.uploadedFiles = {};
         this.currentData = null;
         this.currentTab = 'unfollowers';
-        this.searchQuery = '';
-        this.whitelist = [];
-        this.showWhitelisted = false;
+        this.tabFilters = {};
+        this.filterPresets = [];
+        this.whitelist = new Map();
+        this.selectedUsers = new Set();
+        this.listedUsers = [];
+        this.relationshipIndex = null;
+        this.currentSnapshotId = null;
+        this.previousSnapshotId = null;
+        this.historyPage = 0;
+        this.historyPageSize = 10;
+        this.analysisWorker = new AnalysisWorker();
 
         this.initElements();
         this.initEventListeners();
         this.initTheme();
+        this.loadProfiles();
         this.loadHistory();
         this.loadWhitelist();
+        this.loadFilterPresets();
         this.autoLoadLatest();
     }
 
@@ -425,12 +1747,88 @@ class UIController {
         this.fileInput = document.getElementById('fileInput');
         this.uploadedFilesContainer = document.getElementById('uploadedFiles');
         this.analyzeBtn = document.getElementById('analyzeBtn');
+        this.analysisProgress = document.getElementById('analysisProgress');
+        this.analysisProgressBar = document.getElementById('analysisProgressBar');
+        this.analysisProgressText = document.getElementById('analysisProgressText');
         this.resultsSection = document.getElementById('resultsSection');
         this.historyList = document.getElementById('historyList');
+        this.historyPager = document.getElementById('historyPager');
+        this.historyPrev = document.getElementById('historyPrev');
+        this.historyNext = document.getElementById('historyNext');
+        this.historyPageInfo = document.getElementById('historyPageInfo');
+        this.importReportDialog = document.getElementById('importReportDialog');
+        this.importReportBody = document.getElementById('importReportBody');
+        this.importDate = document.getElementById('importDate');
+        this.importDateSource = document.getElementById('importDateSource');
+        this.duplicateDialog = document.getElementById('duplicateDialog');
+        this.duplicateText = document.getElementById('duplicateText');
+        this.snapshotDialog = document.getElementById('snapshotDialog');
+        this.snapshotForm = document.getElementById('snapshotForm');
+        this.snapshotLabel = document.getElementById('snapshotLabel');
+        this.snapshotNote = document.getElementById('snapshotNote');
+        this.snapshotDate = document.getElementById('snapshotDate');
+        this.backupBtn = document.getElementById('backupBtn');
+        this.restoreBtn = document.getElementById('restoreBtn');
+        this.restoreInput = document.getElementById('restoreInput');
+        this.backupDialog = document.getElementById('backupDialog');
+        this.backupForm = document.getElementById('backupForm');
+        this.backupPassphrase = document.getElementById('backupPassphrase');
+        this.backupPassphraseConfirm = document.getElementById('backupPassphraseConfirm');
+        this.restoreDialog = document.getElementById('restoreDialog');
+        this.restoreForm = document.getElementById('restoreForm');
+        this.restorePassphrase = document.getElementById('restorePassphrase');
+        this.comparePanel = document.getElementById('comparePanel');
+        this.compareFrom = document.getElementById('compareFrom');
+        this.compareTo = document.getElementById('compareTo');
+        this.compareBtn = document.getElementById('compareBtn');
+        this.compareResults = document.getElementById('compareResults');
+        this.growthChart = new GrowthChart(document.getElementById('growthChart'), async (id) => {
+            try {
+                const snapshot = await this.db.getSnapshot(id);
+                if (snapshot) await this.loadSnapshot(snapshot);
+            } catch (error) {
+                console.error('Snapshot load failed:', error);
+                this.showToast('Failed to load snapshot', 'error');
+            }
+        });
+        this.timelineDialog = document.getElementById('timelineDialog');
+        this.timelineTitle = document.getElementById('timelineTitle');
+        this.timelineBody = document.getElementById('timelineBody');
         this.userList = document.getElementById('userList');
+        this.userListView = new VirtualList(document.getElementById('tabContent'), this.userList);
         this.emptyState = document.getElementById('emptyState');
         this.searchInput = document.getElementById('searchInput');
+        this.filterMatch = document.getElementById('filterMatch');
+        this.filterToggle = document.getElementById('filterToggle');
+        this.filterPanel = document.getElementById('filterPanel');
+        this.filterSort = document.getElementById('filterSort');
+        this.filterFrom = document.getElementById('filterFrom');
+        this.filterTo = document.getElementById('filterTo');
+        this.filterStatus = document.getElementById('filterStatus');
+        this.filterPreset = document.getElementById('filterPreset');
+        this.filterPresetDelete = document.getElementById('filterPresetDelete');
+        this.bulkBar = document.getElementById('bulkBar');
+        this.selectAllUsers = document.getElementById('selectAllUsers');
+        this.selectedCount = document.getElementById('selectedCount');
+        this.bulkTag = document.getElementById('bulkTag');
+        this.bulkWhitelistBtn = document.getElementById('bulkWhitelistBtn');
+        this.bulkTagBtn = document.getElementById('bulkTagBtn');
+        this.bulkRemoveBtn = document.getElementById('bulkRemoveBtn');
+        this.whitelistTools = document.getElementById('whitelistTools');
+        this.whitelistImportInput = document.getElementById('whitelistImportInput');
+        this.whitelistDialog = document.getElementById('whitelistDialog');
+        this.whitelistDialogTitle = document.getElementById('whitelistDialogTitle');
+        this.whitelistForm = document.getElementById('whitelistForm');
+        this.whitelistTag = document.getElementById('whitelistTag');
+        this.whitelistNote = document.getElementById('whitelistNote');
         this.themeToggle = document.getElementById('themeToggle');
+        this.profileSwitcher = document.getElementById('profileSwitcher');
+        this.profileSelect = document.getElementById('profileSelect');
+        this.profilesBtn = document.getElementById('profilesBtn');
+        this.profilesDialog = document.getElementById('profilesDialog');
+        this.profilesList = document.getElementById('profilesList');
+        this.profileForm = document.getElementById('profileForm');
+        this.profileName = document.getElementById('profileName');
         this.toastContainer = document.getElementById('toastContainer');
 
         // Stats
@@ -438,11 +1836,27 @@ class UIController {
         this.followingCount = document.getElementById('followingCount');
         this.unfollowersCount = document.getElementById('unfollowersCount');
         this.newFollowersCount = document.getElementById('newFollowersCount');
+        this.youUnfollowedCount = document.getElementById('youUnfollowedCount');
+        this.youStartedFollowingCount = document.getElementById('youStartedFollowingCount');
         this.notFollowingBackCount = document.getElementById('notFollowingBackCount');
 
         // Action buttons
         this.exportBtn = document.getElementById('exportBtn');
+        this.exportDialog = document.getElementById('exportDialog');
+        this.exportForm = document.getElementById('exportForm');
+        this.exportScope = document.getElementById('exportScope');
+        this.exportScopeTab = document.getElementById('exportScopeTab');
+        this.exportFormat = document.getElementById('exportFormat');
+        this.exportColumns = document.getElementById('exportColumns');
         this.shareBtn = document.getElementById('shareBtn');
+        this.shareDialog = document.getElementById('shareDialog');
+        this.shareForm = document.getElementById('shareForm');
+        this.shareStats = document.getElementById('shareStats');
+        this.shareNames = document.getElementById('shareNames');
+        this.shareHideNames = document.getElementById('shareHideNames');
+        this.shareDownload = document.getElementById('shareDownload');
+        this.shareSubmit = document.getElementById('shareSubmit');
+        this.shareCard = new ShareCard(document.getElementById('shareCanvas'));
     }
 
     initEventListeners() {
@@ -474,20 +1888,122 @@ class UIController {
             btn.addEventListener('click', () => this.switchTab(btn.dataset.tab));
         });
 
-        // Search
-        this.searchInput.addEventListener('input', (e) => {
-            this.searchQuery = e.target.value.toLowerCase();
+        // Search, sorting and filters of the current tab
+        this.searchInput.addEventListener('input', (e) => this.updateTabFilter({ query: e.target.value }));
+        this.filterMatch.addEventListener('change', (e) => this.updateTabFilter({ match: e.target.value }));
+        this.filterSort.addEventListener('change', (e) => this.updateTabFilter({ sort: e.target.value }));
+        this.filterFrom.addEventListener('change', (e) => this.updateTabFilter({ from: e.target.value }));
+        this.filterTo.addEventListener('change', (e) => this.updateTabFilter({ to: e.target.value }));
+        this.filterStatus.addEventListener('change', (e) => this.updateTabFilter({ status: e.target.value }));
+        this.filterToggle.addEventListener('click', () => {
+            this.filterPanel.hidden = !this.filterPanel.hidden;
+            this.filterToggle.setAttribute('aria-expanded', String(!this.filterPanel.hidden));
+        });
+        document.getElementById('filterReset').addEventListener('click', () => {
+            this.updateTabFilter(UserListFilter.defaults());
+        });
+
+        // Filter presets
+        this.filterPreset.addEventListener('change', (e) => this.applyFilterPreset(e.target.value));
+        document.getElementById('filterPresetSave').addEventListener('click', () => this.saveFilterPreset());
+        this.filterPresetDelete.addEventListener('click', () => this.deleteFilterPreset());
+
+        // Multi-select and bulk whitelist actions
+        this.selectAllUsers.addEventListener('change', (e) => {
+            this.selectedUsers = e.target.checked
+                ? new Set(this.listedUsers.map(u => u.username.toLowerCase()))
+                : new Set();
             this.renderUserList();
         });
+        this.bulkWhitelistBtn.addEventListener('click', () => this.whitelistSelected());
+        this.bulkTagBtn.addEventListener('click', () => this.whitelistSelected());
+        this.bulkTag.addEventListener('change', () => this.updateSelectionBar());
+        this.bulkRemoveBtn.addEventListener('click', () => this.removeSelectedFromWhitelist());
+
+        // Whitelist import/export and entry editing
+        document.getElementById('whitelistImportBtn').addEventListener('click', () => this.whitelistImportInput.click());
+        this.whitelistImportInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.importWhitelist(file);
+        });
+        document.getElementById('whitelistExportCsvBtn').addEventListener('click', () => this.exportWhitelist('csv'));
+        document.getElementById('whitelistExportJsonBtn').addEventListener('click', () => this.exportWhitelist('json'));
+        this.whitelistForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveWhitelistEntry();
+        });
+
+        // History pagination
+        this.historyPrev.addEventListener('click', () => {
+            this.historyPage--;
+            this.loadHistory();
+        });
+        this.historyNext.addEventListener('click', () => {
+            this.historyPage++;
+            this.loadHistory();
+        });
+
+        // Snapshot label/note form
+        this.snapshotForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveSnapshotDetails();
+        });
+
+        // Backup & restore
+        this.backupBtn.addEventListener('click', () => {
+            this.backupForm.reset();
+            this.backupDialog.showModal();
+        });
+        this.backupForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.createBackup();
+        });
+        this.restoreBtn.addEventListener('click', () => this.restoreInput.click());
+        this.restoreInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.readBackup(file);
+        });
+        this.restoreForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.restoreBackup(this.pendingBackup, this.restorePassphrase.value);
+        });
+
+        // Compare snapshots
+        this.compareBtn.addEventListener('click', () => this.compareSelectedSnapshots());
+
+        // Modal close buttons
+        document.querySelectorAll('.modal-close').forEach(btn => {
+            btn.addEventListener('click', () => btn.closest('dialog').close());
+        });
+
+        // Profiles
+        this.profileSelect.addEventListener('change', () => this.switchProfile(Number(this.profileSelect.value)));
+        this.profilesBtn.addEventListener('click', () => this.profilesDialog.showModal());
+        this.profileForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.createProfile(this.profileName.value.trim());
+        });
 
         // Theme toggle
         this.themeToggle.addEventListener('click', () => this.toggleTheme());
 
         // Export button
-        this.exportBtn.addEventListener('click', () => this.exportToCSV());
+        this.exportBtn.addEventListener('click', () => this.openExportDialog());
+        this.exportForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.exportReport();
+        });
 
-        // Share button
-        this.shareBtn.addEventListener('click', () => this.shareOnX());
+        // Share card
+        this.shareBtn.addEventListener('click', () => this.openShareDialog());
+        this.shareForm.addEventListener('change', () => this.renderShareCard());
+        this.shareForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.shareImage();
+        });
+        this.shareDownload.addEventListener('click', () => this.downloadShareCard());
 
         // Demo button
         const demoBtn = document.getElementById('demoBtn');
@@ -511,8 +2027,9 @@ class UIController {
             const followingData = await followingResponse.json();
 
             // Set as uploaded files
-            this.uploadedFiles.followers = { name: 'demo_followers.json', data: followersData };
-            this.uploadedFiles.following = { name: 'demo_following.json', data: followingData };
+            this.uploadedFiles = {};
+            await this.addUploadedFile('followers', { name: 'demo_followers.json', data: followersData, isHTML: false });
+            await this.addUploadedFile('following', { name: 'demo_following.json', data: followingData, isHTML: false });
 
             // Update UI
             this.renderUploadedFiles();
@@ -558,13 +2075,114 @@ class UIController {
         icon.textContent = theme === 'dark' ? '☀️' : '🌙';
     }
 
+    async loadProfiles() {
+        const profiles = await this.db.getProfiles();
+        this.profileSwitcher.hidden = profiles.length === 0;
+
+        this.profileSelect.innerHTML = profiles.map(profile =>
+            `<option value="${profile.id}">${escapeHtml(profile.name)}</option>`
+        ).join('');
+        this.profileSelect.value = String(this.db.profileId);
+
+        this.profilesList.innerHTML = '';
+        profiles.forEach(profile => {
+            const item = document.createElement('li');
+            item.className = 'history-item';
+            item.innerHTML = `
+                <div class="history-info">
+                    <div class="history-date">${escapeHtml(profile.name)}</div>
+                    ${profile.id === this.db.profileId ? '<div class="history-stats">Active</div>' : ''}
+                </div>
+                <div class="history-actions">
+                    <button class="history-load profile-rename" aria-label="Rename ${escapeHtml(profile.name)}">✎</button>
+                    <button class="history-load history-delete profile-delete" aria-label="Delete ${escapeHtml(profile.name)}" ${profiles.length <= 1 ? 'disabled' : ''}>🗑</button>
+                </div>
+            `;
+            item.querySelector('.profile-rename').addEventListener('click', () => this.renameProfile(profile));
+            item.querySelector('.profile-delete').addEventListener('click', () => this.deleteProfile(profile));
+            this.profilesList.appendChild(item);
+        });
+    }
+
+    /**
+     * Switch to another profile: its own snapshots, whitelist and settings
+     */
+    async switchProfile(id) {
+        await this.db.setActiveProfile(id);
+
+        this.currentData = null;
+        this.currentSnapshotId = null;
+        this.relationshipIndex = null;
+        this.historyPage = 0;
+        this.resultsSection.hidden = true;
+        this.compareResults.hidden = true;
+
+        await this.loadProfiles();
+        await this.loadWhitelist();
+        await this.loadFilterPresets();
+        await this.loadHistory();
+        await this.autoLoadLatest();
+    }
+
+    async createProfile(name) {
+        if (!name) return;
+
+        try {
+            const id = await this.db.createProfile(name);
+            this.profileForm.reset();
+            await this.switchProfile(id);
+            this.showToast(`Created profile "${name}"`, 'success');
+        } catch (error) {
+            console.error('Profile creation failed:', error);
+            this.showToast('Failed to create profile', 'error');
+        }
+    }
+
+    async renameProfile(profile) {
+        const name = prompt('Profile name', profile.name)?.trim();
+        if (!name || name === profile.name) return;
+
+        try {
+            await this.db.renameProfile(profile.id, name);
+            await this.loadProfiles();
+        } catch (error) {
+            console.error('Profile rename failed:', error);
+            this.showToast('Failed to rename profile', 'error');
+        }
+    }
+
+    async deleteProfile(profile) {
+        if (!confirm(`Delete the profile "${profile.name}" with all its snapshots and whitelist? This cannot be undone.`)) {
+            return;
+        }
+
+        try {
+            const wasActive = profile.id === this.db.profileId;
+            await this.db.deleteProfile(profile.id);
+            if (wasActive) {
+                await this.switchProfile(this.db.profileId);
+            } else {
+                await this.loadProfiles();
+            }
+            this.showToast(`Deleted profile "${profile.name}"`, 'success');
+        } catch (error) {
+            console.error('Profile delete failed:', error);
+            this.showToast('Failed to delete profile: ' + error.message, 'error');
+        }
+    }
+
     async handleFiles(files) {
         for (const file of files) {
+            if (ZipArchiveReader.isZipFile(file)) {
+                await this.processArchive(file);
+                continue;
+            }
+
             const isJSON = file.name.endsWith('.json');
             const isHTML = file.name.endsWith('.html') || file.name.endsWith('.htm');
 
             if (!isJSON && !isHTML) {
-                this.showToast('Please upload JSON or HTML files from Instagram export', 'error');
+                this.showToast('Please upload the ZIP, JSON or HTML files from Instagram export', 'error');
                 continue;
             }
 
@@ -576,36 +2194,49 @@ class UIController {
         }
     }
 
+    detectHTMLTypeFromName(fileName) {
+        const relationshipType = InstagramDataParser.detectRelationshipTypeFromName(fileName);
+        if (relationshipType) return relationshipType;
+        if (/followers_\d+\.html$/.test(fileName) || fileName === 'followers.html') return 'followers';
+        if (fileName === 'following.html') return 'following';
+        return null;
+    }
+
     async processFile(file, isHTML = false) {
         try {
             const text = await file.text();
             const fileName = file.name.toLowerCase();
+            // Files from an extracted export folder keep the folder name (and its date)
+            const exportDate = InstagramDataParser.detectExportDate(file.webkitRelativePath || file.name);
 
             if (isHTML) {
-                // HTML file processing
-                if (fileName.includes('follower') && !fileName.includes('following')) {
-                    this.uploadedFiles.followers = { name: file.name, data: text, isHTML: true };
-                    this.showToast(`✅ Followers file loaded: ${file.name}`, 'success');
-                } else if (fileName.includes('following')) {
-                    this.uploadedFiles.following = { name: file.name, data: text, isHTML: true };
-                    this.showToast(`✅ Following file loaded: ${file.name}`, 'success');
+                // HTML file processing: the page's own title says what it is
+                // (read in the worker), the file name is only a fallback for
+                // pages without one
+                const type = await this.addUploadedFile(null, {
+                    name: file.name,
+                    data: text,
+                    isHTML: true,
+                    exportDate,
+                    fallbackType: this.detectHTMLTypeFromName(fileName)
+                });
+
+                if (type) {
+                    this.showToast(`✅ ${this.getFileTypeLabel(type)} file loaded: ${file.name}`, 'success');
                 } else {
                     this.showToast(
-                        `❌ Can't determine file type. Please rename to include "followers" or "following" in the filename.`,
+                        `❌ This doesn't look like an Instagram followers or following page. File: ${file.name}`,
                         'error'
                     );
                     return;
                 }
             } else {
-                // JSON file processing
-                const data = JSON.parse(text);
-
-                if (this.isFollowersFile(data)) {
-                    this.uploadedFiles.followers = { name: file.name, data, isHTML: false };
-                    this.showToast(`✅ Followers file loaded: ${file.name}`, 'success');
-                } else if (this.isFollowingFile(data)) {
-                    this.uploadedFiles.following = { name: file.name, data, isHTML: false };
-                    this.showToast(`✅ Following file loaded: ${file.name}`, 'success');
+                // JSON file processing: the type is detected from the structure
+                // while parsing in the worker
+                const type = await this.addUploadedFile(null, { name: file.name, data: text, isHTML: false, exportDate });
+
+                if (type) {
+                    this.showToast(`✅ ${this.getFileTypeLabel(type)} file loaded: ${file.name}`, 'success');
                 } else {
                     this.showToast(
                         `❌ This doesn't look like an Instagram export file. Please upload followers or following files from Instagram's official data export.`,
@@ -635,14 +2266,51 @@ class UIController {
         }
     }
 
-    // Helper methods to determine file type based on content structure (JSON only)
-    isFollowersFile(data) {
-        return Array.isArray(data) && data.every(item => typeof item === 'object' && item !== null && 'string_list_data' in item);
-    }
+    /**
+     * Unpack an Instagram "Download Your Information" ZIP archive and load
+     * every relationship file found in it, matched by path
+     */
+    async processArchive(file) {
+        try {
+            const archive = new ZipArchiveReader(file);
+            const entries = await archive.getEntries();
+            const relevant = entries
+                .map(entry => ({ entry, type: InstagramDataParser.detectArchiveFileType(entry.path) }))
+                .filter(({ type }) => type !== null);
 
-    isFollowingFile(data) {
-        return (typeof data === 'object' && data !== null && 'relationships_following' in data && Array.isArray(data.relationships_following)) ||
-            (Array.isArray(data) && data.every(item => typeof item === 'object' && item !== null && 'string_list_data' in item));
+            if (relevant.length === 0) {
+                this.showToast(
+                    `❌ No relationship files found in "${file.name}". Make sure the export includes "Followers and following".`,
+                    'error'
+                );
+                return;
+            }
+
+            const exportDate = InstagramDataParser.detectExportDate(file.name);
+            for (const { entry, type } of relevant) {
+                const text = await archive.readText(entry);
+                const isHTML = !entry.name.toLowerCase().endsWith('.json');
+                await this.addUploadedFile(type, {
+                    name: entry.name,
+                    data: text,
+                    isHTML,
+                    exportDate: exportDate || InstagramDataParser.detectExportDate(entry.path)
+                });
+            }
+
+            this.showToast(`✅ Loaded ${relevant.length} file(s) from ${file.name}`, 'success');
+            this.renderUploadedFiles();
+            this.updateAnalyzeButton();
+
+        } catch (error) {
+            console.error('Archive processing error:', error);
+
+            if (error instanceof SyntaxError) {
+                this.showToast(`❌ The archive "${file.name}" contains an invalid JSON file.`, 'error');
+            } else {
+                this.showToast(`❌ Error reading archive "${file.name}". Error: ${error.message}`, 'error');
+            }
+        }
     }
 
     readFile(file) {
@@ -654,26 +2322,243 @@ class UIController {
         });
     }
 
+    /**
+     * Add a file as one part of its relationship type. Big accounts get their
+     * followers split across followers_1.json, followers_2.json, … so every
+     * type holds a list of parts; re-uploading a file with the same name
+     * replaces that part instead of adding it twice.
+     *
+     * JSON and HTML files alike are parsed in the analysis worker.
+     * @param {string|null} type - Relationship type, or null to detect it
+     * @param {Object} file - { name, data, isHTML, exportDate, fallbackType }, fallbackType
+     *   being used when the type can't be detected
+     * @returns {Promise<string|null>} - The type the file was added as, or null if not an export file
+     */
+    async addUploadedFile(type, file) {
+        let parsed;
+        try {
+            parsed = await this.analysisWorker.run('parse', {
+                type,
+                fallbackType: file.fallbackType || null,
+                name: file.name,
+                data: file.data,
+                isHTML: file.isHTML
+            }, (done, stage) => this.showProgress(done, stage));
+        } finally {
+            this.hideProgress();
+        }
+
+        if (!parsed.type) {
+            return null;
+        }
+
+        const report = Object.assign(new ImportReport(file.name), parsed.report);
+        const parts = (this.uploadedFiles[parsed.type] || []).filter(part => part.name !== file.name);
+
+        parts.push({ name: file.name, isHTML: file.isHTML, exportDate: file.exportDate || null, users: parsed.users, report });
+        parts.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+        this.uploadedFiles[parsed.type] = parts;
+        return parsed.type;
+    }
+
+    /**
+     * Show the progress of parsing or analysis below the Analyze button
+     * @param {number} done - Fraction done, 0–1
+     * @param {string} stage - What is being done
+     */
+    showProgress(done, stage) {
+        this.analysisProgress.hidden = false;
+        this.analysisProgressBar.value = Math.round(done * 100);
+        this.analysisProgressText.textContent = stage;
+    }
+
+    hideProgress() {
+        this.analysisProgress.hidden = true;
+    }
+
+    getFileTypeLabel(type) {
+        const labels = { followers: 'Followers', following: 'Following' };
+        return labels[type] || RELATIONSHIP_FILE_TYPES[type]?.label || type;
+    }
+
+    /**
+     * Collect the per-file validation reports of everything uploaded. Users
+     * repeated within or across the parts of one type count as duplicates.
+     * @returns {Array} - [{ type, label, reports, duplicates, unique }]
+     */
+    buildImportReport() {
+        return Object.entries(this.uploadedFiles).map(([type, parts]) => {
+            const total = parts.reduce((sum, part) => sum + part.users.length, 0);
+            const unique = this.getUploadedUsers(type).length;
+            const fileDuplicates = parts.reduce((sum, part) => sum + part.report.duplicates, 0);
+            return {
+                type,
+                label: this.getFileTypeLabel(type),
+                reports: parts.map(part => part.report),
+                duplicates: fileDuplicates + (total - unique),
+                unique
+            };
+        });
+    }
+
+    /**
+     * Work out when the uploaded export was made: from the archive or folder
+     * name, else from the newest follow in the data, else now
+     * @returns {Object} - { date, source }
+     */
+    detectSnapshotDate() {
+        return InstagramDataParser.detectSnapshotDate(Object.values(this.uploadedFiles).flat());
+    }
+
+    /**
+     * Format a date for a datetime-local input (local time, to the minute)
+     */
+    toDateTimeInputValue(date) {
+        const local = new Date(date);
+        local.setMinutes(local.getMinutes() - local.getTimezoneOffset());
+        return local.toISOString().slice(0, 16);
+    }
+
+    /**
+     * Read a datetime-local input, keeping the original date if it wasn't changed
+     * @returns {string} - ISO date
+     */
+    readDateTimeInput(input, original) {
+        if (!input.value || input.value === this.toDateTimeInputValue(original)) {
+            return original;
+        }
+        const date = new Date(input.value);
+        return Number.isNaN(date.getTime()) ? original : date.toISOString();
+    }
+
+    /**
+     * Show the import report and wait for the user to save or cancel
+     * @param {Object} snapshotDate - { date, source } detected for the export
+     * @returns {Promise<string|null>} - The snapshot date to use, or null if cancelled
+     */
+    confirmImport(report, snapshotDate) {
+        const cell = value => `<td class="${value > 0 ? 'report-warning' : ''}">${value.toLocaleString()}</td>`;
+
+        this.importReportBody.innerHTML = `
+            <table class="report-table">
+                <thead>
+                    <tr><th>File</th><th>Entries</th><th>Imported</th><th>Skipped</th><th>Duplicates</th><th>Malformed</th></tr>
+                </thead>
+                <tbody>
+                    ${report.map(group => `
+                        <tr class="report-group">
+                            <th>${escapeHtml(group.label)}</th>
+                            <td></td>
+                            <td>${group.unique.toLocaleString()}</td>
+                            <td></td>
+                            ${cell(group.duplicates)}
+                            <td></td>
+                        </tr>
+                        ${group.reports.map(part => `
+                            <tr>
+                                <td class="report-file">${escapeHtml(part.name)}</td>
+                                <td>${part.entries.toLocaleString()}</td>
+                                <td>${part.imported.toLocaleString()}</td>
+                                ${cell(part.skipped)}
+                                ${cell(part.duplicates)}
+                                ${cell(part.malformed)}
+                            </tr>
+                        `).join('')}
+                    `).join('')}
+                </tbody>
+            </table>
+            ${report.flatMap(group => group.reports).filter(part => part.issues.length > 0).map(part => `
+                <details class="compare-category report-issues">
+                    <summary><span>⚠ ${escapeHtml(part.name)}</span><span class="compare-count">${part.skipped + part.malformed}</span></summary>
+                    <ul>${part.issues.map(issue => `<li>${escapeHtml(issue)}</li>`).join('')}</ul>
+                </details>
+            `).join('')}
+        `;
+
+        this.importDate.value = this.toDateTimeInputValue(snapshotDate.date);
+        this.importDateSource.textContent = `Taken from ${snapshotDate.source}. Change it if this export is from another date.`;
+
+        return new Promise(resolve => {
+            this.importReportDialog.returnValue = '';
+            this.importReportDialog.addEventListener('close', () => {
+                const confirmed = this.importReportDialog.returnValue === 'confirm';
+                resolve(confirmed ? this.readDateTimeInput(this.importDate, snapshotDate.date) : null);
+            }, { once: true });
+            this.importReportDialog.showModal();
+        });
+    }
+
+    /**
+     * Ask what to do with data that matches an existing snapshot
+     * @returns {Promise<string>} - 'reuse', 'save', or '' if cancelled
+     */
+    confirmDuplicate(snapshot) {
+        const date = new Date(snapshot.date).toLocaleString();
+        const name = snapshot.label ? `"${snapshot.label}" (${date})` : `from ${date}`;
+        this.duplicateText.textContent = `This data is identical to the snapshot ${name}. ` +
+            'Saving it again would add a snapshot with no changes and hide the real comparison point.';
+
+        return new Promise(resolve => {
+            this.duplicateDialog.returnValue = '';
+            this.duplicateDialog.addEventListener('close', () => {
+                resolve(this.duplicateDialog.returnValue);
+            }, { once: true });
+            this.duplicateDialog.showModal();
+        });
+    }
+
+    /**
+     * Get the merged, de-duplicated users of every part of a relationship type
+     */
+    getUploadedUsers(type) {
+        return InstagramDataParser.mergeParts(this.uploadedFiles[type] || []);
+    }
+
     renderUploadedFiles() {
         this.uploadedFilesContainer.innerHTML = '';
 
-        Object.entries(this.uploadedFiles).forEach(([type, file]) => {
-            const item = document.createElement('div');
-            item.className = 'file-item';
-            item.innerHTML = `
-                <span class="file-icon">📄</span>
-                <span class="file-name">${escapeHtml(file.name)}</span>
-                <span class="file-status">✓</span>
-                <button class="file-remove" data-type="${escapeHtml(type)}" aria-label="Remove ${escapeHtml(file.name)}">✕</button>
+        Object.entries(this.uploadedFiles).forEach(([type, parts]) => {
+            const label = this.getFileTypeLabel(type);
+            const total = this.getUploadedUsers(type).length;
+            const group = document.createElement('div');
+            group.className = 'file-group';
+            group.innerHTML = `
+                <div class="file-item">
+                    <span class="file-icon">📄</span>
+                    <span class="file-name">${escapeHtml(label)}${parts.length > 1 ? ` (${parts.length} files)` : ''}</span>
+                    <span class="file-count">${total.toLocaleString()} unique</span>
+                    <span class="file-status">✓</span>
+                    <button class="file-remove" data-type="${escapeHtml(type)}" aria-label="Remove all ${escapeHtml(label)} files">✕</button>
+                </div>
+                <ul class="file-parts">
+                    ${parts.map((part, index) => `
+                        <li class="file-part">
+                            <span class="file-part-name">${escapeHtml(part.name)}</span>
+                            <span class="file-count">${part.users.length.toLocaleString()}</span>
+                            <button class="file-remove" data-index="${index}" aria-label="Remove ${escapeHtml(part.name)}">✕</button>
+                        </li>
+                    `).join('')}
+                </ul>
             `;
 
-            item.querySelector('.file-remove').addEventListener('click', () => {
+            group.querySelector('.file-item .file-remove').addEventListener('click', () => {
                 delete this.uploadedFiles[type];
                 this.renderUploadedFiles();
                 this.updateAnalyzeButton();
             });
 
-            this.uploadedFilesContainer.appendChild(item);
+            group.querySelectorAll('.file-part .file-remove').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    parts.splice(Number(btn.dataset.index), 1);
+                    if (parts.length === 0) {
+                        delete this.uploadedFiles[type];
+                    }
+                    this.renderUploadedFiles();
+                    this.updateAnalyzeButton();
+                });
+            });
+
+            this.uploadedFilesContainer.appendChild(group);
         });
     }
 
@@ -694,36 +2579,51 @@ class UIController {
             this.analyzeBtn.disabled = true;
             this.analyzeBtn.innerHTML = '<span class="spinner"></span> Analyzing...';
 
-            // Parse data - detect format from stored isHTML flag
-            const followersFile = this.uploadedFiles.followers;
-            const followingFile = this.uploadedFiles.following;
-            const followers = InstagramDataParser.parseFollowers(followersFile.data, followersFile.isHTML);
-            const following = InstagramDataParser.parseFollowing(followingFile.data, followingFile.isHTML);
+            // Let the user review what was (and wasn't) imported, and when the
+            // export was made, before saving
+            const date = await this.confirmImport(this.buildImportReport(), this.detectSnapshotDate());
+            if (!date) {
+                this.showToast('Import cancelled, nothing was saved', 'warning');
+                return;
+            }
 
-            // Load previous snapshot
-            const previousSnapshot = await this.db.getLatestSnapshot();
+            // Compare with the snapshot before this export's date (older exports go back in the timeline)
+            const previousSnapshot = await this.db.getSnapshotBefore({ id: null, date });
 
-            // Save current snapshot
-            await this.db.saveSnapshot(followers, following);
-
-            // Calculate comparisons
-            let unfollowers = [];
-            let newFollowers = [];
-            if (previousSnapshot) {
-                unfollowers = ComparisonEngine.findUnfollowers(previousSnapshot.followers, followers);
-                newFollowers = ComparisonEngine.findNewFollowers(previousSnapshot.followers, followers);
+            // Merge all uploaded parts of each type (parsed when they were added)
+            // and compare them with the previous snapshot in the worker
+            const parts = {};
+            Object.entries(this.uploadedFiles).forEach(([type, typeParts]) => {
+                parts[type] = typeParts.map(part => part.users);
+            });
+            const { fingerprint, ...analysis } = await this.analysisWorker.run('analyze', { parts, previous: previousSnapshot },
+                (done, stage) => this.showProgress(done * 0.8, stage));
+
+            // The same export uploaded again would only add an identical snapshot
+            const duplicate = await this.db.findSnapshotByFingerprint(fingerprint);
+            if (duplicate) {
+                this.hideProgress();
+                const choice = await this.confirmDuplicate(duplicate);
+
+                if (choice === 'reuse') {
+                    await this.loadSnapshot(await this.db.getSnapshot(duplicate.id), false);
+                    this.loadHistory();
+                    this.showToast(`Showing the existing snapshot from ${new Date(duplicate.date).toLocaleDateString()}`, 'success');
+                    return;
+                }
+                if (choice !== 'save') {
+                    this.showToast('Import cancelled, nothing was saved', 'warning');
+                    return;
+                }
             }
 
-            const notFollowingBack = ComparisonEngine.findNotFollowingBack(followers, following);
-
-            // Store current data
-            this.currentData = {
-                followers,
-                following,
-                unfollowers,
-                newFollowers,
-                notFollowingBack
-            };
+            // Save current snapshot
+            this.showProgress(0.8, 'Saving snapshot');
+            this.currentData = analysis;
+            const { followers, following, relationships } = analysis;
+            this.currentSnapshotId = await this.db.saveSnapshot(followers, following, relationships, date);
+            this.previousSnapshotId = previousSnapshot?.id ?? null;
+            this.hideProgress();
 
             // Update UI
             this.displayResults();
@@ -734,6 +2634,7 @@ class UIController {
             console.error('Analysis error:', error);
             this.showToast('Error analyzing data: ' + error.message, 'error');
         } finally {
+            this.hideProgress();
             this.analyzeBtn.innerHTML = '<span class="btn-icon">🔍</span> Analyze Data';
             this.analyzeBtn.disabled = false;
         }
@@ -746,8 +2647,24 @@ class UIController {
         this.followingCount.textContent = this.currentData.following.length;
         this.unfollowersCount.textContent = this.currentData.unfollowers.length;
         this.newFollowersCount.textContent = this.currentData.newFollowers?.length || 0;
+        this.youUnfollowedCount.textContent = this.currentData.youUnfollowed?.length || 0;
+        this.youStartedFollowingCount.textContent = this.currentData.youStartedFollowing?.length || 0;
         this.notFollowingBackCount.textContent = this.currentData.notFollowingBack.length;
 
+        // Tabs for the other relationship files are only shown when those files were imported
+        const relationships = this.currentData.relationships || {};
+        const optionalTabs = {
+            possiblyRenamed: Boolean(this.currentData.possiblyRenamed?.length),
+            unacceptedRequests: Boolean(relationships.pendingRequests || relationships.recentRequests),
+            closeFriendsNotFollowing: Boolean(relationships.closeFriends)
+        };
+        Object.entries(optionalTabs).forEach(([tab, available]) => {
+            document.querySelector(`.tab-btn[data-tab="${tab}"]`).hidden = !available;
+            if (!available && this.currentTab === tab) {
+                this.switchTab('unfollowers');
+            }
+        });
+
         // Show results section
         this.resultsSection.hidden = false;
 
@@ -760,6 +2677,9 @@ class UIController {
 
     switchTab(tab) {
         this.currentTab = tab;
+        this.selectedUsers.clear();
+        this.userListView.scrollToTop();
+        this.showTabFilter();
 
         // Update tab buttons
         document.querySelectorAll('.tab-btn').forEach(btn => {
@@ -771,123 +2691,361 @@ class UIController {
     }
 
     async loadWhitelist() {
-        this.whitelist = await this.db.getWhitelist();
+        this.setWhitelist(await this.db.getWhitelist());
+    }
+
+    /**
+     * Keep the whitelist entries by username for quick lookups
+     */
+    setWhitelist(entries) {
+        this.whitelist = new Map(entries.map(entry => [entry.username, entry]));
+    }
+
+    async toggleWhitelist(username) {
+        try {
+            const lowerUsername = username.toLowerCase();
+            if (this.whitelist.has(lowerUsername)) {
+                this.setWhitelist(await this.db.removeFromWhitelist(username));
+                this.showToast(`Removed @${username} from whitelist`, 'success');
+            } else {
+                this.setWhitelist(await this.db.addToWhitelist(username));
+                this.showToast(`Added @${username} to whitelist`, 'success');
+            }
+            this.renderUserList();
+            this.updateNotFollowingBackCount();
+        } catch (error) {
+            console.error('Whitelist operation failed:', error);
+            this.showToast('Failed to update whitelist', 'error');
+        }
+    }
+
+    /**
+     * Whitelist or tag the selected users (with the tag picked in the bulk bar).
+     * Without a tag picked, whitelisted users keep the tag they have.
+     */
+    async whitelistSelected() {
+        const usernames = [...this.selectedUsers];
+        if (usernames.length === 0) return;
+
+        try {
+            const tag = this.bulkTag.value;
+            this.setWhitelist(await this.db.saveWhitelistEntries(usernames.map(username => (tag ? { username, tag } : { username }))));
+            this.selectedUsers.clear();
+            this.renderUserList();
+            this.updateNotFollowingBackCount();
+            const action = this.currentTab === 'whitelist' ? 'Tagged' : 'Whitelisted';
+            this.showToast(`${action} ${usernames.length} account${usernames.length === 1 ? '' : 's'}`, 'success');
+        } catch (error) {
+            console.error('Whitelist operation failed:', error);
+            this.showToast('Failed to update whitelist', 'error');
+        }
+    }
+
+    async removeSelectedFromWhitelist() {
+        const usernames = [...this.selectedUsers];
+        if (usernames.length === 0) return;
+
+        try {
+            this.setWhitelist(await this.db.removeFromWhitelist(usernames));
+            this.selectedUsers.clear();
+            this.renderUserList();
+            this.updateNotFollowingBackCount();
+            this.showToast(`Removed ${usernames.length} account${usernames.length === 1 ? '' : 's'} from whitelist`, 'success');
+        } catch (error) {
+            console.error('Whitelist operation failed:', error);
+            this.showToast('Failed to update whitelist', 'error');
+        }
+    }
+
+    editWhitelistEntry(username) {
+        const entry = this.whitelist.get(username.toLowerCase());
+        if (!entry) return;
+
+        this.editingWhitelistEntry = entry.username;
+        this.whitelistDialogTitle.textContent = `@${entry.username}`;
+        this.whitelistTag.value = entry.tag;
+        this.whitelistNote.value = entry.note;
+        this.whitelistDialog.showModal();
+    }
+
+    async saveWhitelistEntry() {
+        try {
+            this.setWhitelist(await this.db.saveWhitelistEntries([{
+                username: this.editingWhitelistEntry,
+                tag: this.whitelistTag.value,
+                note: this.whitelistNote.value
+            }]));
+            this.whitelistDialog.close();
+            this.renderUserList();
+        } catch (error) {
+            console.error('Whitelist operation failed:', error);
+            this.showToast('Failed to update whitelist', 'error');
+        }
     }
 
-    async toggleWhitelist(username) {
+    async importWhitelist(file) {
         try {
-            const lowerUsername = username.toLowerCase();
-            if (this.whitelist.includes(lowerUsername)) {
-                await this.db.removeFromWhitelist(username);
-                this.whitelist = this.whitelist.filter(u => u !== lowerUsername);
-                this.showToast(`Removed @${username} from whitelist`, 'success');
-            } else {
-                await this.db.addToWhitelist(username);
-                this.whitelist.push(lowerUsername);
-                this.showToast(`Added @${username} to whitelist`, 'success');
-            }
+            const entries = parseWhitelistFile(file.name, await file.text());
+            const valid = entries.filter(entry => USERNAME_PATTERN.test(DatabaseManager.normalizeWhitelistEntry(entry).username));
+            const skipped = entries.length - valid.length;
+
+            this.setWhitelist(await this.db.saveWhitelistEntries(valid));
             this.renderUserList();
             this.updateNotFollowingBackCount();
+            this.showToast(
+                `Imported ${valid.length} whitelist entr${valid.length === 1 ? 'y' : 'ies'}${skipped ? `, skipped ${skipped} invalid` : ''}`,
+                skipped ? 'warning' : 'success'
+            );
         } catch (error) {
-            console.error('Whitelist operation failed:', error);
-            this.showToast('Failed to update whitelist', 'error');
+            console.error('Whitelist import failed:', error);
+            this.showToast(`Failed to import whitelist: ${error.message}`, 'error');
+        }
+    }
+
+    exportWhitelist(format) {
+        const entries = [...this.whitelist.values()];
+        if (entries.length === 0) {
+            this.showToast('The whitelist is empty', 'warning');
+            return;
+        }
+
+        const date = new Date().toISOString().split('T')[0];
+        if (format === 'json') {
+            this.downloadFile(JSON.stringify(entries, null, 2), `whitelist_${date}.json`, 'application/json');
+        } else {
+            const rows = entries.map(entry => [entry.username, entry.tag, entry.note, entry.addedAt || '']);
+            this.downloadFile(toCSV([['username', 'tag', 'note', 'added'], ...rows]), `whitelist_${date}.csv`, 'text/csv;charset=utf-8;');
         }
+        this.showToast(`Exported ${entries.length} whitelist entries`, 'success');
     }
 
     updateNotFollowingBackCount() {
         if (!this.currentData) return;
-        const filtered = this.currentData.notFollowingBack.filter(
-            u => !this.whitelist.includes(u.username.toLowerCase())
-        );
-        this.notFollowingBackCount.textContent = filtered.length;
+        this.notFollowingBackCount.textContent = this.getTabUsers('notFollowingBack').length;
+    }
+
+    /**
+     * Whitelist entries as list users, including accounts no longer followed,
+     * each with its entry and follow status
+     */
+    getWhitelistUsers() {
+        const { following, followers } = this.getListContext();
+
+        return [...this.whitelist.values()].map(entry => {
+            const user = following.get(entry.username) || { username: entry.username, timestamp: null, href: null };
+            const status = !following.has(entry.username)
+                ? 'notFollowed'
+                : followers.has(entry.username) ? 'followsBack' : 'notFollowingBack';
+            return { ...user, whitelist: entry, whitelistStatus: status };
+        });
+    }
+
+    /**
+     * Get the users of a tab, before the search filter
+     */
+    getTabUsers(tab = this.currentTab) {
+        switch (tab) {
+            case 'notFollowingBack':
+                // Whitelisted users are left out
+                return this.currentData.notFollowingBack.filter(u => !this.whitelist.has(u.username.toLowerCase()));
+            case 'whitelist':
+                return this.getWhitelistUsers();
+            default:
+                // The other tabs are named after their list in the results
+                return this.currentData[tab] || [];
+        }
     }
 
     renderUserList() {
         if (!this.currentData) return;
 
-        let users = [];
-        let isNotFollowingBackTab = false;
-        let isWhitelistTab = false;
+        const filtered = UserListFilter.apply(this.getTabUsers(), this.getTabFilter(), this.getListContext());
+        const users = filtered.users;
+        this.searchInput.setAttribute('aria-invalid', String(filtered.invalidPattern));
+
+        this.emptyState.hidden = users.length > 0;
+        this.userList.hidden = users.length === 0;
+
+        // Whitelist buttons, selection and bulk actions on the notFollowingBack and whitelist tabs
+        const isWhitelistTab = this.currentTab === 'whitelist';
+        const selectable = isWhitelistTab || this.currentTab === 'notFollowingBack';
+        this.listedUsers = users;
+        this.bulkBar.hidden = !selectable;
+        this.whitelistTools.hidden = !isWhitelistTab;
+        this.bulkTagBtn.hidden = !isWhitelistTab;
+        this.bulkRemoveBtn.hidden = !isWhitelistTab;
+        this.bulkWhitelistBtn.hidden = isWhitelistTab;
+        this.updateSelectionBar();
+
+        // Only the rows in view are rendered
+        this.userListView.setItems(users, user => this.renderUserItem(user, selectable));
+    }
 
-        switch (this.currentTab) {
-            case 'unfollowers':
-                users = this.currentData.unfollowers;
-                break;
-            case 'newFollowers':
-                users = this.currentData.newFollowers || [];
-                break;
-            case 'notFollowingBack':
-                users = this.currentData.notFollowingBack;
-                isNotFollowingBackTab = true;
-                // Filter out whitelisted users
-                users = users.filter(u => !this.whitelist.includes(u.username.toLowerCase()));
-                break;
-            case 'whitelist':
-                // Show only whitelisted users from notFollowingBack
-                users = this.currentData.notFollowingBack.filter(
-                    u => this.whitelist.includes(u.username.toLowerCase())
-                );
-                isWhitelistTab = true;
-                break;
-            case 'followers':
-                users = this.currentData.followers;
-                break;
-            case 'following':
-                users = this.currentData.following;
-                break;
+    /**
+     * Follow lookups of the current analysis for the list filters, built once
+     * per analysis
+     */
+    getListContext() {
+        if (this.listContext?.data !== this.currentData) {
+            this.listContext = {
+                data: this.currentData,
+                followers: new Set(this.currentData.followers.map(u => u.username.toLowerCase())),
+                following: new Map(this.currentData.following.map(u => [u.username.toLowerCase(), u]))
+            };
         }
+        return { ...this.listContext, whitelist: this.whitelist };
+    }
 
-        // Filter by search
-        if (this.searchQuery) {
-            users = users.filter(u => u.username.toLowerCase().includes(this.searchQuery));
+    getTabFilter(tab = this.currentTab) {
+        if (!this.tabFilters[tab]) {
+            this.tabFilters[tab] = UserListFilter.defaults();
         }
+        return this.tabFilters[tab];
+    }
+
+    updateTabFilter(changes) {
+        Object.assign(this.getTabFilter(), changes);
+        this.filterPreset.value = '';
+        this.showTabFilter();
+        this.userListView.scrollToTop();
+        this.renderUserList();
+    }
+
+    /**
+     * Show the current tab's filter in the controls
+     */
+    showTabFilter() {
+        const filter = this.getTabFilter();
+        this.searchInput.value = filter.query;
+        this.filterMatch.value = filter.match;
+        this.filterSort.value = filter.sort;
+        this.filterFrom.value = filter.from;
+        this.filterTo.value = filter.to;
+        this.filterStatus.value = filter.status;
+        this.filterToggle.classList.toggle('active', UserListFilter.isRefined(filter));
+        this.filterPresetDelete.disabled = !this.filterPreset.value;
+    }
 
-        // Clear list
-        this.userList.innerHTML = '';
+    async loadFilterPresets() {
+        this.filterPresets = await this.db.getFilterPresets();
+        this.renderFilterPresets();
+    }
 
-        if (users.length === 0) {
-            this.emptyState.hidden = false;
-            this.userList.hidden = true;
-            return;
+    renderFilterPresets(selected = '') {
+        this.filterPreset.innerHTML = '<option value="">None</option>' + this.filterPresets
+            .map(preset => `<option value="${escapeHtml(preset.name)}">${escapeHtml(preset.name)}</option>`)
+            .join('');
+        this.filterPreset.value = selected;
+        this.filterPresetDelete.disabled = !selected;
+    }
+
+    applyFilterPreset(name) {
+        const preset = this.filterPresets.find(p => p.name === name);
+        if (preset) {
+            this.updateTabFilter(UserListFilter.normalize(preset.filter));
+            this.filterPreset.value = name;
         }
+        this.filterPresetDelete.disabled = !preset;
+    }
 
-        this.emptyState.hidden = true;
-        this.userList.hidden = false;
+    async saveFilterPreset() {
+        const name = prompt('Preset name', this.filterPreset.value)?.trim();
+        if (!name) return;
 
-        // Render users
-        users.forEach((user) => {
-            const item = document.createElement('div');
-            item.className = 'user-item';
-            // No animation delay
+        try {
+            this.filterPresets = await this.db.saveFilterPreset(name, { ...this.getTabFilter() });
+            this.renderFilterPresets(name);
+            this.showToast(`Saved filter preset "${name}"`, 'success');
+        } catch (error) {
+            console.error('Failed to save filter preset:', error);
+            this.showToast('Failed to save filter preset', 'error');
+        }
+    }
 
-            const initial = user.username.charAt(0).toUpperCase();
-            const profileUrl = user.href || `https://instagram.com/${user.username}`;
-            const timeAgo = user.timestamp ? this.formatTimeAgo(user.timestamp * 1000) : '';
-            const isWhitelisted = this.whitelist.includes(user.username.toLowerCase());
+    async deleteFilterPreset() {
+        const name = this.filterPreset.value;
+        if (!name || !confirm(`Delete the filter preset "${name}"?`)) return;
 
-            // Show whitelist button for notFollowingBack and whitelist tabs
-            const showWhitelistBtn = isNotFollowingBackTab || isWhitelistTab;
-            const whitelistBtnText = isWhitelisted ? '✓ Whitelisted' : 'Whitelist';
-            const whitelistBtnClass = isWhitelisted ? 'user-action whitelist-btn whitelisted' : 'user-action whitelist-btn';
+        try {
+            this.filterPresets = await this.db.deleteFilterPreset(name);
+            this.renderFilterPresets();
+            this.showToast(`Deleted filter preset "${name}"`, 'success');
+        } catch (error) {
+            console.error('Failed to delete filter preset:', error);
+            this.showToast('Failed to delete filter preset', 'error');
+        }
+    }
 
-            item.innerHTML = `
-                <div class="user-avatar">${escapeHtml(initial)}</div>
-                <div class="user-info">
-                    <div class="user-name">@${escapeHtml(user.username)}</div>
-                    ${timeAgo ? `<div class="user-meta">${escapeHtml(timeAgo)}</div>` : ''}
-                </div>
-                ${showWhitelistBtn ? `<button class="${whitelistBtnClass}" data-username="${escapeHtml(user.username)}" aria-label="${isWhitelisted ? 'Remove from whitelist' : 'Add to whitelist'}">${whitelistBtnText}</button>` : ''}
-                <a href="${escapeHtml(profileUrl)}" target="_blank" rel="noopener" class="user-action" aria-label="View ${escapeHtml(user.username)} on Instagram">View Profile</a>
-            `;
+    updateSelectionBar() {
+        const count = this.selectedUsers.size;
+        this.selectedCount.textContent = `${count} selected`;
+        this.selectAllUsers.checked = count > 0 && count === this.listedUsers.length;
+        this.selectAllUsers.indeterminate = count > 0 && count < this.listedUsers.length;
+        [this.bulkWhitelistBtn, this.bulkRemoveBtn].forEach(btn => { btn.disabled = count === 0; });
+        // "Set tag" needs a tag: clearing tags in bulk is too easy to do by mistake
+        this.bulkTagBtn.disabled = count === 0 || !this.bulkTag.value;
+    }
 
-            // Add click handler for whitelist button
-            if (showWhitelistBtn) {
-                const btn = item.querySelector('.whitelist-btn');
-                btn.addEventListener('click', () => this.toggleWhitelist(user.username));
-            }
+    renderUserItem(user, selectable) {
+        const item = document.createElement('div');
+        item.className = 'user-item';
+
+        const lowerUsername = user.username.toLowerCase();
+        const initial = user.username.charAt(0).toUpperCase();
+        const profileUrl = user.href || `https://instagram.com/${user.username}`;
+        const timeAgo = user.timestamp ? this.formatTimeAgo(user.timestamp * 1000) : '';
+        const entry = this.whitelist.get(lowerUsername);
+        const isWhitelisted = Boolean(entry);
+        const whitelistBtnText = isWhitelisted ? '✓ Whitelisted' : 'Whitelist';
+        const whitelistBtnClass = isWhitelisted ? 'user-action whitelist-btn whitelisted' : 'user-action whitelist-btn';
+        const statusLabels = { notFollowed: 'No longer followed', followsBack: 'Follows you back' };
+        const status = statusLabels[user.whitelistStatus];
+        const renamed = user.previousUsername ? `was @${user.previousUsername} (${this.formatRenameReasons(user)})` : '';
+        const meta = [renamed, timeAgo, user.whitelist?.note].filter(Boolean).join(' • ');
+
+        item.innerHTML = `
+            ${selectable ? `<input type="checkbox" class="user-select" aria-label="Select ${escapeHtml(user.username)}" ${this.selectedUsers.has(lowerUsername) ? 'checked' : ''}>` : ''}
+            <div class="user-avatar">${escapeHtml(initial)}</div>
+            <div class="user-info">
+                <button class="user-name user-timeline-btn" aria-label="Show relationship history of ${escapeHtml(user.username)}">@${escapeHtml(user.username)}</button>
+                ${entry?.tag ? `<span class="user-tag user-tag-${escapeHtml(entry.tag)}">${escapeHtml(WHITELIST_TAGS[entry.tag])}</span>` : ''}
+                ${status ? `<span class="user-tag user-status-${escapeHtml(user.whitelistStatus)}">${escapeHtml(status)}</span>` : ''}
+                ${meta ? `<div class="user-meta">${escapeHtml(meta)}</div>` : ''}
+            </div>
+            ${user.whitelist ? `<button class="user-action whitelist-edit-btn" aria-label="Edit tag and note of ${escapeHtml(user.username)}">✎</button>` : ''}
+            ${selectable ? `<button class="${whitelistBtnClass}" data-username="${escapeHtml(user.username)}" aria-label="${isWhitelisted ? 'Remove from whitelist' : 'Add to whitelist'}">${whitelistBtnText}</button>` : ''}
+            <a href="${escapeHtml(profileUrl)}" target="_blank" rel="noopener" class="user-action" aria-label="View ${escapeHtml(user.username)} on Instagram">View Profile</a>
+        `;
 
-            this.userList.appendChild(item);
+        item.querySelector('.user-timeline-btn').addEventListener('click', () => {
+            this.showTimeline(user.username);
         });
+
+        if (selectable) {
+            item.querySelector('.user-select').addEventListener('change', (e) => {
+                if (e.target.checked) {
+                    this.selectedUsers.add(lowerUsername);
+                } else {
+                    this.selectedUsers.delete(lowerUsername);
+                }
+                this.updateSelectionBar();
+            });
+
+            // Add click handler for whitelist button
+            const btn = item.querySelector('.whitelist-btn');
+            btn.addEventListener('click', () => this.toggleWhitelist(user.username));
+        }
+
+        if (user.whitelist) {
+            item.querySelector('.whitelist-edit-btn').addEventListener('click', () => this.editWhitelistEntry(user.username));
+        }
+
+        return item;
+    }
+
+    formatRenameReasons(user) {
+        const labels = { timestamp: 'same follow date', link: 'profile link', name: 'similar name' };
+        return user.renameReasons.map(reason => labels[reason]).join(', ');
     }
 
     formatTimeAgo(timestamp) {
@@ -905,63 +3063,320 @@ class UIController {
     async loadHistory() {
         const snapshots = await this.db.getSnapshots();
 
+        // Snapshots may have changed, rebuild the per-account index on demand
+        this.relationshipIndex = null;
+
+        // Counts and gained/lost are kept with each snapshot's metadata, so the
+        // chart doesn't need the lists
+        this.growthChart.render(DatabaseManager.sortByDate([...snapshots]).map(snapshot => ({
+            id: snapshot.id,
+            date: snapshot.date,
+            followers: snapshot.followersCount,
+            following: snapshot.followingCount,
+            gained: snapshot.gained,
+            lost: snapshot.lost
+        })));
+
         if (snapshots.length === 0) {
             this.historyList.innerHTML = '<p class="history-empty">No previous uploads yet</p>';
+            this.historyPager.hidden = true;
+            this.comparePanel.hidden = true;
             return;
         }
 
         this.historyList.innerHTML = '';
 
         const sorted = snapshots.sort((a, b) => new Date(b.date) - new Date(a.date));
+        this.renderCompareOptions(sorted);
+
+        // Keep the page in range after deletions
+        const pageCount = Math.ceil(sorted.length / this.historyPageSize);
+        this.historyPage = Math.min(Math.max(this.historyPage, 0), pageCount - 1);
+        const start = this.historyPage * this.historyPageSize;
 
-        sorted.slice(0, 5).forEach(snapshot => {
+        sorted.slice(start, start + this.historyPageSize).forEach(snapshot => {
             const date = new Date(snapshot.date);
+            const dateLabel = date.toLocaleDateString();
+            const size = this.formatBytes(snapshot.size);
             const item = document.createElement('div');
             item.className = 'history-item';
+            item.classList.toggle('history-item-current', snapshot.id === this.currentSnapshotId);
             item.innerHTML = `
-                <div>
-                    <div class="history-date">${escapeHtml(date.toLocaleDateString())}</div>
-                    <div class="history-stats">${snapshot.followers.length} followers • ${snapshot.following.length} following</div>
+                <div class="history-info">
+                    <div class="history-date">
+                        ${escapeHtml(dateLabel)}
+                        ${snapshot.label ? `<span class="history-label">${escapeHtml(snapshot.label)}</span>` : ''}
+                    </div>
+                    <div class="history-stats">${snapshot.followersCount} followers • ${snapshot.followingCount} following • ${escapeHtml(size)}</div>
+                    ${snapshot.note ? `<div class="history-note">${escapeHtml(snapshot.note)}</div>` : ''}
+                </div>
+                <div class="history-actions">
+                    <button class="history-load" data-id="${snapshot.id}" aria-label="Load snapshot from ${escapeHtml(dateLabel)}">Load</button>
+                    <button class="history-load history-edit" aria-label="Edit label and note of snapshot from ${escapeHtml(dateLabel)}">✎</button>
+                    <button class="history-load history-delete" aria-label="Delete snapshot from ${escapeHtml(dateLabel)}">🗑</button>
                 </div>
-                <button class="history-load" data-id="${snapshot.id}" aria-label="Load snapshot from ${escapeHtml(date.toLocaleDateString())}">Load</button>
             `;
 
-            // Add click handler for load button
-            item.querySelector('.history-load').addEventListener('click', () => {
-                this.loadSnapshot(snapshot);
+            // Add click handlers for load, edit and delete buttons
+            item.querySelector('.history-load').addEventListener('click', async () => {
+                try {
+                    const stored = await this.db.getSnapshot(snapshot.id);
+                    if (stored) await this.loadSnapshot(stored);
+                } catch (error) {
+                    console.error('Snapshot load failed:', error);
+                    this.showToast('Failed to load snapshot', 'error');
+                }
+            });
+            item.querySelector('.history-edit').addEventListener('click', () => {
+                this.editSnapshotDetails(snapshot);
+            });
+            item.querySelector('.history-delete').addEventListener('click', () => {
+                this.deleteSnapshot(snapshot);
             });
 
             this.historyList.appendChild(item);
         });
+
+        this.historyPager.hidden = pageCount < 2;
+        this.historyPrev.disabled = this.historyPage === 0;
+        this.historyNext.disabled = this.historyPage >= pageCount - 1;
+        this.historyPageInfo.textContent = `Page ${this.historyPage + 1} of ${pageCount} • ${sorted.length} snapshots`;
+    }
+
+    formatBytes(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+
+    editSnapshotDetails(snapshot) {
+        this.editingSnapshot = snapshot;
+        this.snapshotDate.value = this.toDateTimeInputValue(snapshot.date);
+        this.snapshotLabel.value = snapshot.label || '';
+        this.snapshotNote.value = snapshot.note || '';
+        this.snapshotDialog.showModal();
+    }
+
+    async saveSnapshotDetails() {
+        try {
+            const { id, date } = this.editingSnapshot;
+            const newDate = this.readDateTimeInput(this.snapshotDate, date);
+
+            // A new date moves the snapshot in the timeline, changing the diffs around it
+            if (newDate !== date) {
+                await this.db.moveSnapshot(id, newDate);
+            }
+            await this.db.updateSnapshot(id, {
+                label: this.snapshotLabel.value.trim(),
+                note: this.snapshotNote.value.trim()
+            });
+            this.snapshotDialog.close();
+            this.showToast('Snapshot updated', 'success');
+
+            if (newDate !== date && this.currentSnapshotId !== null) {
+                await this.loadSnapshot(await this.db.getSnapshot(this.currentSnapshotId), false);
+            }
+            this.loadHistory();
+        } catch (error) {
+            console.error('Snapshot update failed:', error);
+            this.showToast('Failed to update snapshot', 'error');
+        }
+    }
+
+    async deleteSnapshot(snapshot) {
+        const date = new Date(snapshot.date).toLocaleDateString();
+        const name = snapshot.label ? `"${snapshot.label}" (${date})` : `from ${date}`;
+        if (!confirm(`Delete the snapshot ${name}? This cannot be undone.`)) {
+            return;
+        }
+
+        try {
+            await this.db.deleteSnapshot(snapshot.id);
+            this.showToast(`Deleted snapshot from ${date}`, 'success');
+
+            // The results shown may have been based on the deleted snapshot
+            if (snapshot.id === this.currentSnapshotId) {
+                this.currentSnapshotId = null;
+                this.currentData = null;
+                this.resultsSection.hidden = true;
+                await this.autoLoadLatest();
+            }
+
+            this.loadHistory();
+        } catch (error) {
+            console.error('Snapshot delete failed:', error);
+            this.showToast('Failed to delete snapshot', 'error');
+        }
+    }
+
+    /**
+     * Fill the "from"/"to" pickers of the compare panel (snapshots newest first)
+     */
+    renderCompareOptions(sorted) {
+        this.comparePanel.hidden = sorted.length < 2;
+        if (sorted.length < 2) return;
+
+        const previousFrom = this.compareFrom.value;
+        const previousTo = this.compareTo.value;
+
+        const options = sorted.map(snapshot => {
+            const name = snapshot.label ? ` – ${snapshot.label}` : '';
+            const label = `${new Date(snapshot.date).toLocaleString()}${name} (${snapshot.followersCount} followers)`;
+            return `<option value="${snapshot.id}">${escapeHtml(label)}</option>`;
+        }).join('');
+
+        this.compareFrom.innerHTML = options;
+        this.compareTo.innerHTML = options;
+
+        // Keep the current selection, default to the two most recent snapshots
+        this.compareFrom.value = previousFrom && sorted.some(s => String(s.id) === previousFrom)
+            ? previousFrom : String(sorted[1].id);
+        this.compareTo.value = previousTo && sorted.some(s => String(s.id) === previousTo)
+            ? previousTo : String(sorted[0].id);
+    }
+
+    async compareSelectedSnapshots() {
+        try {
+            let from = await this.db.getSnapshotInfo(Number(this.compareFrom.value));
+            let to = await this.db.getSnapshotInfo(Number(this.compareTo.value));
+
+            if (!from || !to) {
+                this.showToast('Snapshot not found', 'error');
+                return;
+            }
+
+            if (from.id === to.id) {
+                this.showToast('Pick two different snapshots to compare', 'warning');
+                return;
+            }
+
+            // Always compare older → newer
+            if (new Date(from.date) > new Date(to.date)) {
+                [from, to] = [to, from];
+            }
+
+            const range = await this.db.getSnapshotsBetween(from.date, to.date);
+            this.renderCompareResults(await this.analysisWorker.run('compareRange', { snapshots: range }));
+        } catch (error) {
+            console.error('Compare error:', error);
+            this.showToast('Failed to compare snapshots: ' + error.message, 'error');
+        }
+    }
+
+    renderCompareResults(result) {
+        const fromDate = new Date(result.from.date).toLocaleDateString();
+        const toDate = new Date(result.to.date).toLocaleDateString();
+
+        const categories = [
+            { icon: '👻', label: 'Unfollowed you', users: result.unfollowers },
+            { icon: '🌟', label: 'New followers', users: result.newFollowers },
+            { icon: '🏷️', label: 'Possibly renamed', users: result.possiblyRenamed },
+            { icon: '🔁', label: 'Unfollowed and came back', users: result.returnedFollowers },
+            { icon: '✂️', label: 'You unfollowed', users: result.youUnfollowed },
+            { icon: '➕', label: 'You started following', users: result.youStartedFollowing }
+        ];
+
+        // Other relationship lists, when both snapshots have them
+        Object.entries(result.relationshipChanges).forEach(([type, { added, removed }]) => {
+            const { label } = RELATIONSHIP_FILE_TYPES[type];
+            categories.push(
+                { icon: '＋', label: `${label}: added`, users: added },
+                { icon: '－', label: `${label}: removed`, users: removed }
+            );
+        });
+
+        this.compareResults.innerHTML = `
+            <div class="compare-summary">
+                ${escapeHtml(fromDate)} → ${escapeHtml(toDate)} •
+                ${result.from.followers.length} → ${result.to.followers.length} followers •
+                ${result.from.following.length} → ${result.to.following.length} following
+            </div>
+            ${categories.map(({ icon, label, users }) => `
+                <details class="compare-category">
+                    <summary>
+                        <span>${icon} ${escapeHtml(label)}</span>
+                        <span class="compare-count">${users.length}</span>
+                    </summary>
+                    ${users.length === 0
+                        ? '<p class="history-empty">Nobody</p>'
+                        : `<ul class="compare-users">${users.map(user => `
+                            <li>${user.previousUsername ? `@${escapeHtml(user.previousUsername)} → ` : ''}<a href="${escapeHtml(user.href || `https://instagram.com/${user.username}`)}" target="_blank" rel="noopener">@${escapeHtml(user.username)}</a></li>
+                        `).join('')}</ul>`}
+                </details>
+            `).join('')}
+        `;
+        this.compareResults.hidden = false;
+    }
+
+    /**
+     * Show the relationship history of one account across every snapshot
+     */
+    async showTimeline(username) {
+        try {
+            if (!this.relationshipIndex) {
+                const snapshots = await this.db.getFullSnapshots();
+                this.relationshipIndex = await this.analysisWorker.run('buildRelationshipIndex', { snapshots });
+            }
+
+            const entry = this.relationshipIndex.get(username.toLowerCase());
+            this.timelineTitle.textContent = `@${entry?.username || username}`;
+
+            if (!entry) {
+                this.timelineBody.innerHTML = '<p class="history-empty">No stored history for this account yet</p>';
+                this.timelineDialog.showModal();
+                return;
+            }
+
+            const labels = {
+                followedYou: e => e.initial ? 'Was already following you' : 'Started following you',
+                refollowedYou: () => 'Followed you again',
+                unfollowedYou: () => 'Unfollowed you',
+                youFollowed: e => e.initial ? 'You were already following' : 'You started following',
+                youRefollowed: () => 'You followed again',
+                youUnfollowed: () => 'You unfollowed'
+            };
+            const everFollowedYou = entry.events.some(e => e.type === 'followedYou');
+
+            this.timelineBody.innerHTML = `
+                <div class="timeline-summary">
+                    <span>Follows you: <strong>${entry.followsYou ? 'Yes' : 'No'}</strong></span>
+                    <span>You follow: <strong>${entry.youFollow ? 'Yes' : 'No'}</strong></span>
+                    <span>Ever followed you: <strong>${everFollowedYou ? 'Yes' : 'No'}</strong></span>
+                </div>
+                <ol class="timeline">
+                    ${entry.events.map(event => `
+                        <li class="timeline-event timeline-${event.type}">
+                            <span class="timeline-date">${escapeHtml(new Date(event.date).toLocaleDateString())}</span>
+                            <span class="timeline-label">
+                                ${escapeHtml(labels[event.type](event))}
+                                ${event.timestamp ? `<span class="timeline-meta">(since ${escapeHtml(new Date(event.timestamp * 1000).toLocaleDateString())})</span>` : ''}
+                            </span>
+                        </li>
+                    `).join('')}
+                </ol>
+            `;
+            this.timelineDialog.showModal();
+        } catch (error) {
+            console.error('Timeline error:', error);
+            this.showToast('Failed to load account history', 'error');
+        }
     }
 
     async autoLoadLatest() {
         const latestSnapshot = await this.db.getLatestSnapshot();
         if (latestSnapshot) {
-            this.loadSnapshot(latestSnapshot, false);
+            await this.loadSnapshot(latestSnapshot, false);
         }
     }
 
-    loadSnapshot(snapshot, showToast = true) {
-        const followers = snapshot.followers || [];
-        const following = snapshot.following || [];
-
-        // Calculate comparisons
-        const notFollowingBack = ComparisonEngine.findNotFollowingBack(followers, following);
+    async loadSnapshot(snapshot, showToast = true) {
+        // Compare against the snapshot taken just before this one
+        const previousSnapshot = await this.db.getSnapshotBefore(snapshot);
 
-        // For unfollowers and new followers, we need to compare with previous snapshot
-        // For now, just show empty if no previous comparison data
-        const unfollowers = [];
-        const newFollowers = [];
-
-        // Store current data
-        this.currentData = {
-            followers,
-            following,
-            unfollowers,
-            newFollowers,
-            notFollowingBack
-        };
+        // Calculate comparisons and store current data
+        this.currentData = await this.analysisWorker.run('compareSnapshots', { previous: previousSnapshot, current: snapshot });
+        this.currentSnapshotId = snapshot.id;
+        this.previousSnapshotId = previousSnapshot?.id ?? null;
 
         // Update UI
         this.displayResults();
@@ -969,108 +3384,237 @@ class UIController {
 
         if (showToast) {
             const date = new Date(snapshot.date).toLocaleDateString();
-            this.showToast(`Loaded snapshot from ${date}`, 'success');
+            const compared = previousSnapshot
+                ? ` (compared to ${new Date(previousSnapshot.date).toLocaleDateString()})`
+                : '';
+            this.showToast(`Loaded snapshot from ${date}${compared}`, 'success');
         }
     }
 
-    exportToCSV() {
-        if (!this.currentData) {
-            this.showToast('⚠️ Please analyze your data first before exporting', 'warning');
+    async createBackup() {
+        const passphrase = this.backupPassphrase.value;
+        if (passphrase !== this.backupPassphraseConfirm.value) {
+            this.showToast('Passphrases do not match', 'error');
             return;
         }
 
-        let users = [];
-        let filename = 'ghosttrace_export.csv';
+        try {
+            const data = await this.db.exportData();
+            const text = await BackupFile.create(data, passphrase);
 
-        // Get users based on current tab
-        switch (this.currentTab) {
-            case 'unfollowers':
-                users = this.currentData.unfollowers;
-                filename = 'unfollowers.csv';
-                break;
-            case 'newFollowers':
-                users = this.currentData.newFollowers || [];
-                filename = 'new_followers.csv';
-                break;
-            case 'notFollowingBack':
-                users = this.currentData.notFollowingBack.filter(
-                    u => !this.whitelist.includes(u.username.toLowerCase())
-                );
-                filename = 'not_following_back.csv';
-                break;
-            case 'whitelist':
-                users = this.currentData.notFollowingBack.filter(
-                    u => this.whitelist.includes(u.username.toLowerCase())
-                );
-                filename = 'whitelist.csv';
-                break;
-            case 'followers':
-                users = this.currentData.followers;
-                filename = 'followers.csv';
-                break;
-            case 'following':
-                users = this.currentData.following;
-                filename = 'following.csv';
-                break;
+            const date = new Date().toISOString().split('T')[0];
+            this.downloadFile(text, `ghosttrace_backup_${date}.json`, 'application/json');
+
+            this.backupDialog.close();
+            this.showToast(`Backed up ${data.snapshots.length} snapshots${passphrase ? ' (encrypted)' : ''}`, 'success');
+        } catch (error) {
+            console.error('Backup failed:', error);
+            this.showToast('Failed to create backup: ' + error.message, 'error');
+        }
+    }
+
+    async readBackup(file) {
+        try {
+            const backup = BackupFile.parse(await file.text());
+
+            if (backup.encrypted) {
+                this.pendingBackup = backup;
+                this.restoreForm.reset();
+                this.restoreDialog.showModal();
+                return;
+            }
+
+            await this.restoreBackup(backup);
+        } catch (error) {
+            console.error('Restore failed:', error);
+            const message = error instanceof SyntaxError ? 'The file is not valid JSON.' : error.message;
+            this.showToast('Failed to restore backup: ' + message, 'error');
+        }
+    }
+
+    async restoreBackup(backup, passphrase = '') {
+        try {
+            const data = await BackupFile.open(backup, passphrase);
+            const { added, skipped } = await this.db.importData(data);
+
+            this.restoreDialog.close();
+            this.pendingBackup = null;
+
+            await this.loadProfiles();
+            await this.loadWhitelist();
+            await this.loadFilterPresets();
+            await this.loadHistory();
+            if (!this.currentData) {
+                await this.autoLoadLatest();
+            } else {
+                this.renderUserList();
+                this.updateNotFollowingBackCount();
+            }
+
+            const skippedText = skipped ? `, ${skipped} already present` : '';
+            this.showToast(`Restored ${added} snapshots${skippedText}`, 'success');
+        } catch (error) {
+            console.error('Restore failed:', error);
+            this.showToast('Failed to restore backup: ' + error.message, 'error');
         }
+    }
 
-        if (users.length === 0) {
-            this.showToast('No users to export in this tab', 'warning');
+    openExportDialog() {
+        if (!this.currentData) {
+            this.showToast('⚠️ Please analyze your data first before exporting', 'warning');
             return;
         }
 
-        // Create CSV content
-        const headers = ['Username', 'Profile URL', 'Date Added'];
-        const rows = users.map(user => [
-            user.username,
-            user.href || `https://instagram.com/${user.username}`,
-            user.timestamp ? new Date(user.timestamp * 1000).toLocaleDateString() : ''
+        const label = REPORT_CATEGORIES[this.currentTab].label;
+        this.exportScopeTab.textContent = `Current tab: ${label} (${this.listedUsers.length} shown)`;
+        this.exportDialog.showModal();
+    }
+
+    /**
+     * Snapshot metadata for whole-report exports
+     */
+    async getReportMeta() {
+        const describe = snapshot => snapshot && {
+            id: snapshot.id,
+            date: snapshot.date,
+            label: snapshot.label || '',
+            note: snapshot.note || '',
+            followers: snapshot.followersCount,
+            following: snapshot.followingCount
+        };
+        const [snapshot, comparedTo] = await Promise.all([
+            this.currentSnapshotId ? this.db.getSnapshotInfo(this.currentSnapshotId) : null,
+            this.previousSnapshotId ? this.db.getSnapshotInfo(this.previousSnapshotId) : null
         ]);
 
-        const csvContent = [
-            headers.join(','),
-            ...rows.map(row => row.map(cell => `"${cell}"`).join(','))
-        ].join('\n');
+        return {
+            generatedAt: new Date().toISOString(),
+            snapshot: describe(snapshot) || null,
+            comparedTo: describe(comparedTo) || null
+        };
+    }
+
+    async exportReport() {
+        const format = this.exportFormat.value;
+        const columns = [...this.exportColumns.querySelectorAll('input:checked')].map(input => input.value);
+        if (columns.length === 0) {
+            this.showToast('Pick at least one column to export', 'warning');
+            return;
+        }
+
+        try {
+            const date = new Date().toISOString().split('T')[0];
+            let sections;
+            let meta = null;
+            let name;
+
+            if (this.exportScope.value === 'report') {
+                // Every category shown as a tab for this analysis
+                sections = Object.entries(REPORT_CATEGORIES)
+                    .filter(([key]) => !document.querySelector(`.tab-btn[data-tab="${key}"]`).hidden)
+                    .map(([key, { label }]) => ({ key, label, users: this.getTabUsers(key) }));
+                meta = await this.getReportMeta();
+                name = 'ghosttrace_report';
+            } else {
+                // The current tab as listed, with its search and filters
+                const { label, file } = REPORT_CATEGORIES[this.currentTab];
+                sections = [{ key: this.currentTab, label, users: this.listedUsers }];
+                name = file;
+
+                if (this.listedUsers.length === 0) {
+                    this.showToast('No users to export in this tab', 'warning');
+                    return;
+                }
+            }
+
+            const { content, extension, type } = ReportExport.build(format, sections, columns, { whitelist: this.whitelist, meta });
+            const filename = `${name}_${date}.${extension}`;
+            this.downloadFile(content, filename, type);
 
-        // Add date to filename
-        const date = new Date().toISOString().split('T')[0]; // Format: YYYY-MM-DD
-        const filenameParts = filename.split('.');
-        filename = `${filenameParts[0]}_${date}.${filenameParts[1]}`;
+            this.exportDialog.close();
+            const total = sections.reduce((sum, section) => sum + section.users.length, 0);
+            this.showToast(`Exported ${total} users to ${filename}`, 'success');
+        } catch (error) {
+            console.error('Export failed:', error);
+            this.showToast('Failed to export: ' + error.message, 'error');
+        }
+    }
 
-        // Download file
-        const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
+    downloadFile(content, filename, type) {
+        const blob = new Blob([content], { type });
         const link = document.createElement('a');
         link.href = URL.createObjectURL(blob);
         link.download = filename;
         link.click();
         URL.revokeObjectURL(link.href);
-
-        this.showToast(`Exported ${users.length} users to ${filename}`, 'success');
     }
 
-    shareOnX() {
+    async openShareDialog() {
         if (!this.currentData) {
             this.showToast('Analyze your data first to share stats', 'error');
             return;
         }
 
-        const followers = this.currentData.followers.length;
-        const following = this.currentData.following.length;
-        const unfollowers = this.currentData.unfollowers.length;
-        const newFollowers = this.currentData.newFollowers?.length || 0;
-        const notFollowingBack = this.currentData.notFollowingBack.length;
+        // The card can still be shared without the snapshot's date
+        let snapshot = null;
+        try {
+            snapshot = this.currentSnapshotId ? await this.db.getSnapshotInfo(this.currentSnapshotId) : null;
+        } catch (error) {
+            console.error('Snapshot load failed:', error);
+            this.showToast(`Couldn't read the snapshot date, using today's`, 'warning');
+        }
+        this.shareDate = snapshot?.date || new Date().toISOString();
+
+        // Sharing files needs Web Share API support for files; downloading always works
+        const probe = new File([''], 'ghosttrace.png', { type: 'image/png' });
+        this.shareSubmit.hidden = !navigator.canShare?.({ files: [probe] });
+
+        this.renderShareCard();
+        this.shareDialog.showModal();
+    }
+
+    renderShareCard() {
+        const stats = [...this.shareStats.querySelectorAll('input:checked')].map(input => input.value);
+        this.shareHideNames.disabled = !this.shareNames.checked;
+
+        // Whitelisted accounts are left out of "don't follow back", as in its tab
+        const data = { ...this.currentData, notFollowingBack: this.getTabUsers('notFollowingBack') };
+        this.shareCard.render(data, {
+            stats,
+            showNames: this.shareNames.checked,
+            hideNames: this.shareHideNames.checked,
+            date: this.shareDate
+        });
+    }
 
-        const unfollowersCount = this.currentData.unfollowers.length;
-        const notFollowingBackCount = this.currentData.notFollowingBack.length;
+    getShareCardName() {
+        return `ghosttrace_${this.shareDate.split('T')[0]}.png`;
+    }
 
-        const postText = `👻 My Instagram Stats:\n\n` +
-            `📊 ${unfollowersCount} unfollowers detected\n` +
-            `👤 ${notFollowingBackCount} not following me back\n\n` +
-            `Track yours safely at: g-pappas.github.io/Ghost_Trace/\n\n` +
-            `#GhostTrace #InstagramTracker`;
+    async downloadShareCard() {
+        try {
+            this.downloadFile(await this.shareCard.toBlob(), this.getShareCardName(), 'image/png');
+        } catch (error) {
+            console.error('Share card download failed:', error);
+            this.showToast('Failed to create the image: ' + error.message, 'error');
+        }
+    }
 
-        const shareUrl = `https://x.com/intent/tweet?text=${encodeURIComponent(postText)}`;
-        window.open(shareUrl, '_blank', 'width=550,height=420');
+    async shareImage() {
+        try {
+            const blob = await this.shareCard.toBlob();
+            await navigator.share({
+                files: [new File([blob], this.getShareCardName(), { type: 'image/png' })],
+                title: 'My Instagram stats',
+                text: `Track yours privately at ${ShareCard.SITE} #GhostTrace`
+            });
+            this.shareDialog.close();
+        } catch (error) {
+            // Closing the share sheet isn't an error
+            if (error.name === 'AbortError') return;
+            console.error('Share failed:', error);
+            this.showToast('Failed to share: ' + error.message, 'error');
+        }
     }
 
     showToast(message, type = 'success') {
@@ -1095,13 +3639,56 @@ class UIController {
 // ========================================
 // Service Worker Registration
 // ========================================
+/**
+ * Register sw.js and offer to reload when a new version is ready. The
+ * worker posts UPDATE_READY once it has cached an update; when the user
+ * accepts, the page answers SKIP_WAITING and reloads as soon as the new
+ * worker takes control.
+ */
 async function registerServiceWorker() {
-    if ('serviceWorker' in navigator) {
-        try {
-            await navigator.serviceWorker.register('./sw.js');
-        } catch (error) {
-            // Silent fail - SW is optional for core functionality
+    if (!('serviceWorker' in navigator)) return;
+
+    const prompt = document.getElementById('updatePrompt');
+    let registration = null;
+    let updating = false;
+
+    navigator.serviceWorker.addEventListener('message', (event) => {
+        if (event.data?.type === 'UPDATE_READY') {
+            prompt.hidden = false;
+        }
+    });
+
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        // The first install also takes control, without anything to reload
+        if (updating) {
+            location.reload();
+        }
+    });
+
+    document.getElementById('updateReload').addEventListener('click', () => {
+        // Still installing if the user was quick; it takes over once cached
+        const worker = registration?.waiting || registration?.installing;
+        if (!worker) {
+            location.reload();
+            return;
+        }
+        updating = true;
+        worker.postMessage({ type: 'SKIP_WAITING' });
+    });
+
+    document.getElementById('updateDismiss').addEventListener('click', () => {
+        prompt.hidden = true;
+    });
+
+    try {
+        registration = await navigator.serviceWorker.register('./sw.js');
+
+        // An update cached on an earlier visit is still waiting
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            prompt.hidden = false;
         }
+    } catch (error) {
+        // Silent fail - SW is optional for core functionality
     }
 }
 
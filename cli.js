@@ -0,0 +1,422 @@
+#!/usr/bin/env node
+/**
+ * GhostTrace - Instagram Follower Tracker
+ * Command line tool for headless analysis: imports Instagram exports (JSON
+ * or HTML files, or the whole "Download Your Information" ZIP) into a local JSON
+ * snapshot store and prints or writes the reports, so it can run from cron.
+ */
+'use strict';
+
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const { parseArgs } = require('node:util');
+const {
+    fingerprintSnapshot,
+    ZipArchiveReader,
+    InstagramDataParser,
+    AnalysisTasks,
+    parseWhitelistFile,
+    REPORT_CATEGORIES,
+    EXPORT_COLUMNS,
+    ReportExport
+} = require('./core.js');
+
+const USAGE = `Usage: ghosttrace <command> [options]
+
+Commands:
+  import <files...>    Import export files (JSON or HTML) or a ZIP archive, save a
+                       snapshot and print its report
+  report               Print the report of the latest snapshot, compared to
+                       the one before it
+  history              List the stored snapshots
+
+Options:
+  --store <file>       Snapshot store (default: ghosttrace-store.json)
+  --date <date>        Snapshot date for import (default: from the export)
+  --snapshot <id>      Snapshot to report on (default: the latest)
+  --format <format>    text, csv, json, spreadsheet or markdown (default: text)
+  --output <file>      Write the report to a file instead of printing it
+  --categories <list>  Comma-separated categories to report (default:
+                       unfollowers,newFollowers,possiblyRenamed,
+                       notFollowingBack)
+  --all                Report every category
+  --columns <list>     Comma-separated columns for csv, json, spreadsheet
+                       and markdown (default: username,profileUrl,date)
+  --whitelist <file>   Whitelist export (CSV or JSON) to leave out of
+                       notFollowingBack
+  --force              Save a snapshot even if an identical one is stored
+  --dry-run            Import and report without saving the snapshot
+  -h, --help           Show this help`;
+
+const DEFAULT_CATEGORIES = ['unfollowers', 'newFollowers', 'possiblyRenamed', 'notFollowingBack'];
+const DEFAULT_COLUMNS = ['username', 'profileUrl', 'date'];
+
+// The whitelist tab is a web app view of the whitelist, not a result category
+const CLI_CATEGORIES = Object.keys(REPORT_CATEGORIES).filter(key => key !== 'whitelist');
+
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+// ========================================
+// Snapshot Store
+// ========================================
+
+/**
+ * Snapshot history in one JSON file. Snapshots are kept in full, in date
+ * order, as { id, date, fingerprint, followers, following, relationships }.
+ */
+class SnapshotStore {
+    static FORMAT = 'ghosttrace-store';
+    static VERSION = 1;
+
+    constructor(file) {
+        this.file = file;
+        this.snapshots = [];
+    }
+
+    async load() {
+        let text;
+        try {
+            text = await fs.readFile(this.file, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return this;
+            throw error;
+        }
+
+        const data = JSON.parse(text);
+        if (data?.format !== SnapshotStore.FORMAT || !Array.isArray(data.snapshots)) {
+            throw new Error(`${this.file} is not a GhostTrace snapshot store`);
+        }
+        if (data.version > SnapshotStore.VERSION) {
+            throw new Error(`${this.file} was written by a newer version of GhostTrace`);
+        }
+        this.snapshots = data.snapshots;
+        return this;
+    }
+
+    /**
+     * Write to a temporary file first, so an interrupted run can't leave a
+     * truncated store behind
+     */
+    async save() {
+        const data = { format: SnapshotStore.FORMAT, version: SnapshotStore.VERSION, snapshots: this.snapshots };
+        const temp = `${this.file}.tmp`;
+        await fs.writeFile(temp, JSON.stringify(data));
+        await fs.rename(temp, this.file);
+    }
+
+    add({ date, followers, following, relationships }) {
+        const id = this.snapshots.reduce((max, snapshot) => Math.max(max, snapshot.id), 0) + 1;
+        const snapshot = { id, date, fingerprint: fingerprintSnapshot({ followers, following, relationships }), followers, following, relationships };
+        this.snapshots.push(snapshot);
+        this.snapshots.sort((a, b) => new Date(a.date) - new Date(b.date) || a.id - b.id);
+        return snapshot;
+    }
+
+    get(id) {
+        return this.snapshots.find(snapshot => snapshot.id === id) || null;
+    }
+
+    latest() {
+        return this.snapshots[this.snapshots.length - 1] || null;
+    }
+
+    /**
+     * The latest snapshot dated before the given date
+     */
+    before(date) {
+        const time = new Date(date).getTime();
+        return this.snapshots.filter(snapshot => new Date(snapshot.date).getTime() < time).pop() || null;
+    }
+
+    findByFingerprint(fingerprint) {
+        return this.snapshots.find(snapshot => snapshot.fingerprint === fingerprint) || null;
+    }
+}
+
+// ========================================
+// Import
+// ========================================
+
+/**
+ * Parse one export file (JSON or HTML) into a part { type, name, users, report, exportDate }
+ * @returns {Object|null} - null if the file isn't an export file
+ */
+function parseExportFile(name, text, type = null, exportDate = null) {
+    const isHTML = /\.html?$/i.test(name);
+    const result = AnalysisTasks.parse({ type, name, data: text, isHTML }, () => {});
+    return result.type ? { ...result, name, exportDate } : null;
+}
+
+async function readParts(files) {
+    const parts = [];
+
+    for (const file of files) {
+        const name = path.basename(file);
+        const buffer = await fs.readFile(file);
+
+        if (name.toLowerCase().endsWith('.zip')) {
+            const archive = new ZipArchiveReader(new Blob([buffer]));
+            const exportDate = InstagramDataParser.detectExportDate(name);
+            const entries = (await archive.getEntries())
+                .map(entry => ({ entry, type: InstagramDataParser.detectArchiveFileType(entry.path) }))
+                .filter(({ type }) => type);
+
+            if (entries.length === 0) {
+                throw new Error(`${name}: no followers or following files found in the archive`);
+            }
+            for (const { entry, type } of entries) {
+                const part = parseExportFile(entry.name, await archive.readText(entry), type,
+                    exportDate || InstagramDataParser.detectExportDate(entry.path));
+                parts.push(part);
+            }
+        } else {
+            const part = parseExportFile(name, buffer.toString('utf8'), null, InstagramDataParser.detectExportDate(file));
+            if (!part) {
+                throw new Error(`${name}: not an Instagram followers, following or relationship file`);
+            }
+            parts.push(part);
+        }
+    }
+
+    return parts;
+}
+
+/**
+ * Summarize problems found while parsing on stderr, like the import report
+ * shown by the web app
+ */
+function printImportIssues(parts) {
+    parts.filter(part => part.report.hasProblems).forEach(({ name, report }) => {
+        console.error(`${name}: ${report.imported} imported, ${report.skipped} skipped, ` +
+            `${report.duplicates} duplicates, ${report.malformed} malformed`);
+        report.issues.forEach(issue => console.error(`  ${issue}`));
+    });
+}
+
+async function importCommand(files, options, store) {
+    if (files.length === 0) {
+        throw new UsageError('import needs at least one export file or ZIP archive');
+    }
+
+    const parts = await readParts(files);
+    printImportIssues(parts);
+
+    const byType = {};
+    parts.forEach(part => {
+        (byType[part.type] = byType[part.type] || []).push(part.users);
+    });
+    if (!byType.followers || !byType.following) {
+        throw new Error('Both a followers and a following file are needed');
+    }
+
+    const detected = InstagramDataParser.detectSnapshotDate(parts);
+    const date = options.date ? parseDate(options.date) : detected.date;
+    const previous = store.before(date);
+    const { fingerprint, ...result } = AnalysisTasks.analyze({ parts: byType, previous }, () => {});
+
+    let snapshot = { id: null, date };
+    const duplicate = store.findByFingerprint(fingerprint);
+    if (duplicate && !options.force) {
+        console.error(`Identical to snapshot ${duplicate.id} from ${duplicate.date}, not saved (use --force to save anyway)`);
+    } else if (options['dry-run']) {
+        console.error(`Dry run, snapshot dated ${date} not saved`);
+    } else {
+        snapshot = store.add({ date, followers: result.followers, following: result.following, relationships: result.relationships });
+        await store.save();
+        console.error(`Saved snapshot ${snapshot.id} dated ${date} (from ${options.date ? '--date' : detected.source})`);
+    }
+
+    return { result, snapshot, previous };
+}
+
+function reportCommand(options, store) {
+    const snapshot = options.snapshot ? store.get(Number(options.snapshot)) : store.latest();
+    if (!snapshot) {
+        throw new Error(options.snapshot ? `No snapshot with id ${options.snapshot}` : 'No snapshots yet, import an export first');
+    }
+
+    const previous = store.before(snapshot.date);
+    const result = AnalysisTasks.compareSnapshots({ previous, current: snapshot });
+    return { result, snapshot, previous };
+}
+
+function historyCommand(store) {
+    if (store.snapshots.length === 0) {
+        return 'No snapshots yet\n';
+    }
+    return store.snapshots.map(snapshot =>
+        `${String(snapshot.id).padStart(4)}  ${snapshot.date}  ` +
+        `${snapshot.followers.length} followers, ${snapshot.following.length} following`
+    ).join('\n') + '\n';
+}
+
+// ========================================
+// Reports
+// ========================================
+
+function parseDate(value) {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new UsageError(`Invalid date "${value}"`);
+    }
+    return date.toISOString();
+}
+
+function parseList(value, valid, what) {
+    const items = value.split(',').map(item => item.trim()).filter(Boolean);
+    const unknown = items.filter(item => !valid.includes(item));
+    if (unknown.length > 0 || items.length === 0) {
+        throw new UsageError(`Unknown ${what} "${unknown.join(', ')}", expected: ${valid.join(', ')}`);
+    }
+    return items;
+}
+
+/**
+ * Read a whitelist exported by the web app (CSV with a username column, or
+ * JSON entries) into entries by lowercase username
+ */
+async function readWhitelist(file) {
+    const entries = parseWhitelistFile(file, await fs.readFile(file, 'utf8'));
+
+    return new Map(entries
+        .map(entry => (typeof entry === 'string' ? { username: entry } : entry || {}))
+        .map(entry => ({ ...entry, username: String(entry.username || '').trim().replace(/^@/, '').toLowerCase() }))
+        .filter(entry => entry.username)
+        .map(entry => [entry.username, { username: entry.username, tag: entry.tag || '', note: entry.note || '' }]));
+}
+
+function buildSections(result, categories, whitelist) {
+    return categories.map(key => {
+        let users = result[key] || [];
+        if (key === 'notFollowingBack') {
+            users = users.filter(user => !whitelist.has(user.username.toLowerCase()));
+        }
+        return { key, label: REPORT_CATEGORIES[key].label, users };
+    });
+}
+
+function formatText(sections, meta, result) {
+    const lines = [
+        `GhostTrace report: snapshot ${meta.snapshot?.date || '(not saved)'}` +
+            (meta.comparedTo ? ` compared to ${meta.comparedTo.date}` : ', no earlier snapshot'),
+        `${result.followers.length} followers, ${result.following.length} following`
+    ];
+
+    sections.forEach(({ label, users }) => {
+        lines.push('', `${label} (${users.length})`);
+        users.forEach(user => {
+            const date = user.timestamp ? `  ${new Date(user.timestamp * 1000).toISOString().slice(0, 10)}` : '';
+            const previous = user.previousUsername ? `@${user.previousUsername} → ` : '';
+            lines.push(`  ${previous}@${user.username}${date}`);
+        });
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+async function writeReport({ result, snapshot, previous }, options) {
+    const whitelist = options.whitelist ? await readWhitelist(options.whitelist) : new Map();
+    let categories = options.categories
+        ? parseList(options.categories, CLI_CATEGORIES, 'category')
+        : DEFAULT_CATEGORIES;
+    if (options.all) {
+        // Relationship categories only apply when their files were imported
+        const relationships = result.relationships || {};
+        const available = {
+            unacceptedRequests: Boolean(relationships.pendingRequests || relationships.recentRequests),
+            closeFriendsNotFollowing: Boolean(relationships.closeFriends)
+        };
+        categories = CLI_CATEGORIES.filter(key => available[key] !== false);
+    }
+    const columns = options.columns
+        ? parseList(options.columns, Object.keys(EXPORT_COLUMNS), 'column')
+        : DEFAULT_COLUMNS;
+
+    const describe = s => s && { id: s.id, date: s.date, followers: s.followers?.length, following: s.following?.length };
+    const meta = {
+        generatedAt: new Date().toISOString(),
+        snapshot: snapshot.id ? describe(snapshot) : { id: null, date: snapshot.date },
+        comparedTo: describe(previous) || null
+    };
+
+    const sections = buildSections(result, categories, whitelist);
+    const content = options.format === 'text'
+        ? formatText(sections, meta, result)
+        : ReportExport.build(options.format, sections, columns, { whitelist, meta }).content;
+
+    if (options.output) {
+        await fs.writeFile(options.output, content);
+        console.error(`Wrote ${options.output}`);
+    } else {
+        process.stdout.write(content.endsWith('\n') ? content : content + '\n');
+    }
+}
+
+// ========================================
+// Main
+// ========================================
+
+async function main(argv) {
+    const { values: options, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            store: { type: 'string', default: 'ghosttrace-store.json' },
+            date: { type: 'string' },
+            snapshot: { type: 'string' },
+            format: { type: 'string', default: 'text' },
+            output: { type: 'string' },
+            categories: { type: 'string' },
+            all: { type: 'boolean', default: false },
+            columns: { type: 'string' },
+            whitelist: { type: 'string' },
+            force: { type: 'boolean', default: false },
+            'dry-run': { type: 'boolean', default: false },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+
+    const [command, ...files] = positionals;
+    if (options.help || !command) {
+        console.log(USAGE);
+        return;
+    }
+    if (options.format !== 'text' && !ReportExport.FORMATS[options.format]) {
+        throw new UsageError(`Unknown format "${options.format}", expected: text, ${Object.keys(ReportExport.FORMATS).join(', ')}`);
+    }
+
+    const store = await new SnapshotStore(options.store).load();
+
+    switch (command) {
+        case 'import':
+            await writeReport(await importCommand(files, options, store), options);
+            break;
+        case 'report':
+            await writeReport(reportCommand(options, store), options);
+            break;
+        case 'history':
+            process.stdout.write(historyCommand(store));
+            break;
+        default:
+            throw new UsageError(`Unknown command "${command}"`);
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).catch(error => {
+        console.error(`ghosttrace: ${error.message}`);
+        if (error instanceof UsageError || error.code?.startsWith('ERR_PARSE_ARGS')) {
+            console.error('Run "ghosttrace --help" for usage.');
+            process.exitCode = 2;
+        } else {
+            process.exitCode = 1;
+        }
+    });
+}
+
+module.exports = { SnapshotStore, readParts, readWhitelist, main };
@@ -0,0 +1,1654 @@
+/**
+ * GhostTrace - Instagram Follower Tracker
+ * Parsing and comparison core, shared by the web app (app.js), the analysis
+ * worker (worker.js) and the command line tool (cli.js). Nothing in here
+ * needs the DOM or IndexedDB: HTML exports are read by HTMLExportReader.
+ */
+
+// ========================================
+// Utility Functions
+// ========================================
+
+/**
+ * Fast non-cryptographic 53-bit string hash (cyrb53)
+ * @param {string} str - The string to hash
+ * @returns {string} - The hash as a hex string
+ */
+function hashString(str) {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < str.length; i++) {
+        const ch = str.charCodeAt(i);
+        h1 = Math.imul(h1 ^ ch, 2654435761);
+        h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16);
+}
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields may hold commas, quotes and line breaks)
+ * @param {string} text - The CSV text
+ * @returns {Array<Array<string>>} - Rows of fields
+ */
+function parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === ',') {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+}
+
+// Cell text a spreadsheet would run as a formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * Keep a spreadsheet from running cell text as a formula (e.g. a note
+ * "=HYPERLINK(…)"): such text is prefixed with a quote, which the
+ * spreadsheet shows as plain text
+ */
+function escapeFormula(text) {
+    return FORMULA_START.test(text) ? `'${text}` : text;
+}
+
+/**
+ * Undo escapeFormula for text read back from a file GhostTrace exported
+ */
+function unescapeFormula(text) {
+    return typeof text === 'string' && text.startsWith("'") && FORMULA_START.test(text.slice(1)) ? text.slice(1) : text;
+}
+
+/**
+ * Build CSV text (RFC 4180) from rows of fields, escaped with escapeFormula
+ * as the file is likely to be opened in a spreadsheet
+ * @param {Array<Array>} rows - Rows of fields
+ * @returns {string} - The CSV text
+ */
+function toCSV(rows) {
+    return rows.map(row => row.map(cell => {
+        const text = escapeFormula(cell === null || cell === undefined ? '' : String(cell));
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',')).join('\r\n');
+}
+
+/**
+ * Identify a snapshot's data: a hash of every list's sorted usernames plus
+ * the newest timestamp in them, so the same export imported twice gets the
+ * same fingerprint
+ * @param {Object} snapshot - { followers, following, relationships }
+ * @returns {string} - The fingerprint
+ */
+function fingerprintSnapshot({ followers, following, relationships = {} }) {
+    const lists = { followers, following, ...relationships };
+    let newest = 0;
+
+    const parts = Object.keys(lists).sort().map(type => {
+        const usernames = lists[type].map(user => {
+            if (user.timestamp > newest) newest = user.timestamp;
+            return user.username.toLowerCase();
+        });
+        return `${type}:${usernames.sort().join(',')}`;
+    });
+
+    return `${hashString(parts.join('\n'))}-${newest}`;
+}
+
+// ========================================
+// ZIP Archive Reader
+// ========================================
+
+/**
+ * Minimal reader for the ZIP archives produced by Instagram's
+ * "Download Your Information" export. Only the central directory and the
+ * requested entries are read from the Blob, so large archives never have
+ * to be loaded into memory as a whole.
+ */
+class ZipArchiveReader {
+    constructor(blob) {
+        this.blob = blob;
+        this.entries = null;
+    }
+
+    static isZipFile(file) {
+        return file.name.toLowerCase().endsWith('.zip') ||
+            file.type === 'application/zip' ||
+            file.type === 'application/x-zip-compressed';
+    }
+
+    async readBytes(start, end) {
+        const buffer = await this.blob.slice(start, end).arrayBuffer();
+        return new DataView(buffer);
+    }
+
+    /**
+     * Locate the End Of Central Directory record (it sits at the very end,
+     * followed by an optional comment of up to 64KB)
+     */
+    async findEndOfCentralDirectory() {
+        const searchLength = Math.min(this.blob.size, 22 + 0xFFFF);
+        const start = this.blob.size - searchLength;
+        const view = await this.readBytes(start, this.blob.size);
+
+        for (let i = searchLength - 22; i >= 0; i--) {
+            if (view.getUint32(i, true) === 0x06054b50) {
+                return {
+                    entryCount: view.getUint16(i + 10, true),
+                    directorySize: view.getUint32(i + 12, true),
+                    directoryOffset: view.getUint32(i + 16, true)
+                };
+            }
+        }
+
+        throw new Error('Not a valid ZIP archive. Please upload the original file from Instagram.');
+    }
+
+    /**
+     * List all file entries in the archive
+     */
+    async getEntries() {
+        if (this.entries) return this.entries;
+
+        const eocd = await this.findEndOfCentralDirectory();
+        if (eocd.entryCount === 0xFFFF || eocd.directoryOffset === 0xFFFFFFFF) {
+            throw new Error('This ZIP archive is too large. Please extract it and upload the JSON files instead.');
+        }
+
+        const view = await this.readBytes(eocd.directoryOffset, eocd.directoryOffset + eocd.directorySize);
+        const decoder = new TextDecoder('utf-8');
+        const entries = [];
+        let offset = 0;
+
+        for (let i = 0; i < eocd.entryCount; i++) {
+            if (view.getUint32(offset, true) !== 0x02014b50) {
+                throw new Error('Corrupted ZIP archive (invalid central directory).');
+            }
+
+            const flags = view.getUint16(offset + 8, true);
+            const method = view.getUint16(offset + 10, true);
+            const compressedSize = view.getUint32(offset + 20, true);
+            const size = view.getUint32(offset + 24, true);
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            const localHeaderOffset = view.getUint32(offset + 42, true);
+            const nameBytes = new Uint8Array(view.buffer, view.byteOffset + offset + 46, nameLength);
+            const path = decoder.decode(nameBytes);
+
+            if (!path.endsWith('/')) {
+                entries.push({
+                    path,
+                    name: path.split('/').pop(),
+                    method,
+                    encrypted: (flags & 0x1) === 0x1,
+                    compressedSize,
+                    size,
+                    localHeaderOffset
+                });
+            }
+
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+
+        this.entries = entries;
+        return entries;
+    }
+
+    /**
+     * Read and decompress a single entry as text
+     */
+    async readText(entry) {
+        if (entry.encrypted) {
+            throw new Error(`"${entry.path}" is encrypted and cannot be read.`);
+        }
+
+        // Local header has its own name/extra lengths, which may differ from the central directory
+        const header = await this.readBytes(entry.localHeaderOffset, entry.localHeaderOffset + 30);
+        if (header.getUint32(0, true) !== 0x04034b50) {
+            throw new Error('Corrupted ZIP archive (invalid local header).');
+        }
+        const dataStart = entry.localHeaderOffset + 30 +
+            header.getUint16(26, true) + header.getUint16(28, true);
+        const data = this.blob.slice(dataStart, dataStart + entry.compressedSize);
+
+        if (entry.method === 0) {
+            return data.text();
+        }
+
+        if (entry.method === 8) {
+            if (typeof DecompressionStream === 'undefined') {
+                throw new Error('Your browser cannot unpack ZIP files. Please extract the archive and upload the JSON files instead.');
+            }
+            const stream = data.stream().pipeThrough(new DecompressionStream('deflate-raw'));
+            return new Response(stream).text();
+        }
+
+        throw new Error(`"${entry.path}" uses an unsupported compression method.`);
+    }
+}
+
+// ========================================
+// HTML Export Reader
+// ========================================
+
+// Elements that never have content or a closing tag
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+/**
+ * A small, forgiving HTML reader for Instagram's HTML exports, so they can
+ * be parsed without a DOM: in the analysis worker and in Node. It builds a
+ * plain tree of elements { tag, attrs, children, parent } with text nodes as
+ * strings. Stray closing tags are ignored and unclosed elements end with
+ * their parent, which is all the export pages need.
+ */
+class HTMLExportReader {
+    /**
+     * @param {Function} progress - Optional, called with the fraction read now and then
+     */
+    static parse(html, progress = null) {
+        const root = { tag: '#document', attrs: {}, children: [], parent: null };
+        const token = /<!--[\s\S]*?-->|<![^>]*>|<\/([A-Za-z][\w:-]*)[^>]*>|<([A-Za-z][\w:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>|[^<]+|</g;
+        let current = root;
+        let match;
+        let count = 0;
+
+        while ((match = token.exec(html))) {
+            const [text, closing, opening, attrText] = match;
+            if (progress && ++count % HTMLExportReader.PROGRESS_TOKENS === 0) {
+                progress(token.lastIndex / html.length);
+            }
+
+            if (opening) {
+                const tag = opening.toLowerCase();
+                const element = { tag, attrs: this.parseAttributes(attrText), children: [], parent: current };
+                current.children.push(element);
+
+                if (tag === 'script' || tag === 'style') {
+                    // Raw text, skipped up to the closing tag
+                    const end = new RegExp(`</${tag}`, 'ig');
+                    end.lastIndex = token.lastIndex;
+                    token.lastIndex = end.exec(html)?.index ?? html.length;
+                } else if (!VOID_ELEMENTS.has(tag) && !attrText.endsWith('/')) {
+                    current = element;
+                }
+            } else if (closing) {
+                const tag = closing.toLowerCase();
+                let open = current;
+                while (open !== root && open.tag !== tag) open = open.parent;
+                if (open !== root) current = open.parent;
+            } else if (text[0] !== '<' || text.length === 1) {
+                current.children.push(this.decode(text));
+            }
+        }
+
+        return root;
+    }
+
+    // Tags and text runs read between progress reports
+    static PROGRESS_TOKENS = 20000;
+
+    static parseAttributes(text) {
+        const attrs = {};
+        const attribute = /([^\s"'=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+        let match;
+        while ((match = attribute.exec(text))) {
+            attrs[match[1].toLowerCase()] = this.decode(match[2] ?? match[3] ?? match[4] ?? '');
+        }
+        return attrs;
+    }
+
+    static decode(text) {
+        return text.replace(/&(#[xX][0-9a-fA-F]+|#\d+|[A-Za-z]+);/g, (entity, name) => {
+            if (name[0] !== '#') return NAMED_ENTITIES[name.toLowerCase()] ?? entity;
+            const code = /x/i.test(name[1]) ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+            return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+        });
+    }
+
+    static textContent(node) {
+        return typeof node === 'string' ? node : node.children.map(child => this.textContent(child)).join('');
+    }
+
+    /**
+     * Every element below node matching test, in document order
+     */
+    static findAll(node, test, found = []) {
+        node.children.forEach(child => {
+            if (typeof child === 'string') return;
+            if (test(child)) found.push(child);
+            this.findAll(child, test, found);
+        });
+        return found;
+    }
+
+    /**
+     * The first element below node matching test, in document order
+     */
+    static find(node, test) {
+        for (const child of node.children) {
+            if (typeof child === 'string') continue;
+            if (test(child)) return child;
+            const found = this.find(child, test);
+            if (found) return found;
+        }
+        return null;
+    }
+
+    /**
+     * The element itself or its nearest ancestor matching test
+     */
+    static closest(node, test) {
+        for (let element = node; element && element.parent; element = element.parent) {
+            if (test(element)) return element;
+        }
+        return null;
+    }
+
+    static hasClass(element, names) {
+        const classes = (element.attrs.class || '').split(/\s+/);
+        return names.some(name => classes.includes(name));
+    }
+}
+
+// ========================================
+// Instagram Data Parser
+// ========================================
+
+// Other relationship files of the export: file name, top-level JSON key and HTML page title per type
+const RELATIONSHIP_FILE_TYPES = {
+    closeFriends: { label: 'Close friends', file: 'close_friends', key: 'relationships_close_friends', title: /close friends/i },
+    blocked: { label: 'Blocked', file: 'blocked_profiles', key: 'relationships_blocked_users', title: /blocked/i },
+    restricted: { label: 'Restricted', file: 'restricted_profiles', key: 'relationships_restricted_users', title: /restricted/i },
+    pendingRequests: { label: 'Pending requests', file: 'pending_follow_requests', key: 'relationships_follow_requests_sent', title: /pending follow requests|follow requests sent/i },
+    recentRequests: { label: 'Recent requests', file: 'recent_follow_requests', key: 'relationships_permanent_follow_requests', title: /recent(ly)? (follow )?requests?/i }
+};
+
+// Page title/heading of each HTML export file, checked in order (most specific first)
+const HTML_TITLE_TYPES = [
+    ...Object.entries(RELATIONSHIP_FILE_TYPES).map(([type, { title }]) => ({ type, pattern: title })),
+    { type: 'following', pattern: /\bfollowing\b|accounts you follow/i },
+    { type: 'followers', pattern: /\bfollowers\b/i }
+];
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// A whole ISO 8601 date, optionally with a time and zone (e.g. "2024-01-05T15:12:00Z")
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+
+// Relationship files inside the "Download Your Information" archive, matched by path
+const ARCHIVE_FILE_TYPES = [
+    { type: 'followers', pattern: /(^|\/)followers_and_following\/followers(_\d+)?\.(json|html?)$/i },
+    { type: 'following', pattern: /(^|\/)followers_and_following\/following\.(json|html?)$/i },
+    ...Object.entries(RELATIONSHIP_FILE_TYPES).map(([type, { file }]) => ({
+        type,
+        pattern: new RegExp(`(^|/)followers_and_following/${file}\\.(json|html?)$`, 'i')
+    }))
+];
+
+// Instagram usernames: letters, numbers, periods and underscores, up to 30 characters
+const USERNAME_PATTERN = /^[A-Za-z0-9._]{1,30}$/;
+
+/**
+ * Counts of what happened to each entry of an imported file, shown to the
+ * user before the snapshot is saved
+ */
+class ImportReport {
+    constructor(name) {
+        this.name = name;
+        this.entries = 0;
+        this.imported = 0;
+        this.skipped = 0;
+        this.duplicates = 0;
+        this.malformed = 0;
+        this.issues = [];
+        this.maxIssues = 20;
+    }
+
+    addIssue(kind, message) {
+        this[kind]++;
+        if (this.issues.length < this.maxIssues) {
+            this.issues.push(message);
+        }
+    }
+
+    get hasProblems() {
+        return this.skipped + this.duplicates + this.malformed > 0;
+    }
+}
+
+class InstagramDataParser {
+    /**
+     * Check a parsed entry and add it to the list if valid
+     * @param {Array} users - List the entry is added to
+     * @param {Object} entry - { username, timestamp, href }
+     * @param {ImportReport|null} report - Collects skipped/malformed counts
+     */
+    static addEntry(users, entry, report = null) {
+        if (report) report.entries++;
+
+        if (entry.username === undefined || entry.username === null || entry.username === '') {
+            report?.addIssue('skipped', `Entry ${report.entries}: no username`);
+            return;
+        }
+        if (typeof entry.username !== 'string' || !USERNAME_PATTERN.test(entry.username)) {
+            report?.addIssue('malformed', `Entry ${report.entries}: invalid username "${String(entry.username).slice(0, 40)}"`);
+            return;
+        }
+        if (entry.timestamp !== null && (!Number.isInteger(entry.timestamp) || entry.timestamp < 0)) {
+            report?.addIssue('malformed', `@${entry.username}: invalid timestamp "${String(entry.timestamp).slice(0, 40)}"`);
+            return;
+        }
+        if (entry.href !== null && typeof entry.href !== 'string') {
+            report?.addIssue('malformed', `@${entry.username}: invalid profile link`);
+            return;
+        }
+
+        if (report) report.imported++;
+        users.push(entry);
+    }
+
+    /**
+     * Parse followers from JSON format
+     */
+    static parseFollowersJSON(jsonData, report = null) {
+        try {
+            if (!jsonData) {
+                throw new Error('File appears to be empty');
+            }
+
+            const users = [];
+
+            if (!Array.isArray(jsonData)) {
+                throw new Error('Expected Instagram export format. File should contain an array of follower data.');
+            }
+
+            if (jsonData.length === 0) {
+                return users;
+            }
+
+            const firstItem = jsonData[0];
+            if (!firstItem.string_list_data && !firstItem.value) {
+                throw new Error('Unrecognized file format. Make sure you uploaded the followers_1.json file from Instagram export.');
+            }
+
+            jsonData.forEach(item => {
+                if (item && item.string_list_data && Array.isArray(item.string_list_data)) {
+                    item.string_list_data.forEach(data => {
+                        this.addEntry(users, {
+                            username: data?.value,
+                            timestamp: data?.timestamp || null,
+                            href: data?.href || null
+                        }, report);
+                    });
+                } else {
+                    if (report) report.entries++;
+                    report?.addIssue('malformed', `Entry ${report.entries}: missing string_list_data`);
+                }
+            });
+
+            return this.uniqueEntries(users, report);
+        } catch (error) {
+            console.error('Error parsing followers JSON:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Parse following from JSON format
+     */
+    static parseFollowingJSON(jsonData, report = null) {
+        try {
+            if (!jsonData) {
+                throw new Error('File appears to be empty');
+            }
+
+            const users = [];
+
+            if (Array.isArray(jsonData)) {
+                if (jsonData.length === 0) {
+                    return users;
+                }
+
+                const firstItem = jsonData[0];
+                if (!firstItem.title && !firstItem.string_list_data && !firstItem.value) {
+                    throw new Error('Unrecognized file format. Make sure you uploaded the following.json file from Instagram export.');
+                }
+
+                users.push(...this.parseEntries(jsonData, report));
+            } else if (jsonData.relationships_following) {
+                users.push(...this.parseEntries(jsonData.relationships_following, report));
+            } else {
+                throw new Error('Expected Instagram export format.');
+            }
+
+            return users;
+        } catch (error) {
+            console.error('Error parsing following JSON:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Parse relationship entries, which carry the username either in
+     * "title" (newer exports) or in each string_list_data "value"
+     */
+    static parseEntries(items, report = null) {
+        const users = [];
+
+        items.forEach(item => {
+            if (item?.title) {
+                const data = item.string_list_data?.[0] || {};
+                this.addEntry(users, {
+                    username: item.title,
+                    timestamp: data.timestamp || null,
+                    href: data.href || null
+                }, report);
+            } else if (item?.string_list_data && Array.isArray(item.string_list_data)) {
+                item.string_list_data.forEach(data => {
+                    this.addEntry(users, {
+                        username: data?.value,
+                        timestamp: data?.timestamp || null,
+                        href: data?.href || null
+                    }, report);
+                });
+            } else {
+                if (report) report.entries++;
+                report?.addIssue('malformed', `Entry ${report.entries}: missing title and string_list_data`);
+            }
+        });
+
+        return this.uniqueEntries(users, report);
+    }
+
+    /**
+     * Parse one of the other relationship files (close friends, blocked, …)
+     * from JSON format. Accepts the wrapped object or the bare array.
+     */
+    static parseRelationshipJSON(type, jsonData, report = null) {
+        try {
+            if (!jsonData) {
+                throw new Error('File appears to be empty');
+            }
+
+            const { key, file } = RELATIONSHIP_FILE_TYPES[type];
+            const items = Array.isArray(jsonData) ? jsonData : jsonData[key];
+
+            if (!Array.isArray(items)) {
+                throw new Error(`Unrecognized file format. Make sure you uploaded the ${file}.json file from Instagram export.`);
+            }
+
+            return this.parseEntries(items, report);
+        } catch (error) {
+            console.error(`Error parsing ${type} JSON:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Detect what a JSON export file is from its structure. Older exports
+     * wrote following.json as a bare array like followers, so for arrays
+     * the file name decides.
+     * @returns {string|null} - The type (e.g. 'followers'), or null if not an export file
+     */
+    static detectJSONType(jsonData, fileName = '') {
+        if (Array.isArray(jsonData) && jsonData.every(item => typeof item === 'object' && item !== null && 'string_list_data' in item)) {
+            return /(^|[\\/])following[^\\/]*$/i.test(fileName) ? 'following' : 'followers';
+        }
+        if (typeof jsonData === 'object' && jsonData !== null && Array.isArray(jsonData.relationships_following)) {
+            return 'following';
+        }
+        return this.detectRelationshipType(jsonData);
+    }
+
+    /**
+     * Detect which of the other relationship files a JSON file is, from its top-level key
+     * @returns {string|null} - The type (e.g. 'closeFriends'), or null
+     */
+    static detectRelationshipType(jsonData) {
+        if (typeof jsonData !== 'object' || jsonData === null || Array.isArray(jsonData)) {
+            return null;
+        }
+        const match = Object.entries(RELATIONSHIP_FILE_TYPES)
+            .find(([, { key }]) => Array.isArray(jsonData[key]));
+        return match ? match[0] : null;
+    }
+
+    /**
+     * Detect which of the other relationship files an HTML file is, from its file name
+     */
+    static detectRelationshipTypeFromName(fileName) {
+        const lower = fileName.toLowerCase();
+        const match = Object.entries(RELATIONSHIP_FILE_TYPES)
+            .find(([, { file }]) => lower.includes(file));
+        return match ? match[0] : null;
+    }
+
+    /**
+     * Detect the relationship type of an HTML export from the document's
+     * own title and heading
+     * @param {string|Object} htmlContent - The page, or its tree from HTMLExportReader
+     * @returns {string|null} - The type (e.g. 'followers'), or null if not recognized
+     */
+    static detectHTMLType(htmlContent) {
+        const doc = typeof htmlContent === 'string' ? HTMLExportReader.parse(htmlContent) : htmlContent;
+        const title = HTMLExportReader.find(doc, element => element.tag === 'title');
+        const heading = HTMLExportReader.find(doc, element =>
+            element.tag === 'h1' || element.tag === 'h2' || element.attrs.role === 'heading');
+        const candidates = [title, heading]
+            .map(element => (element ? HTMLExportReader.textContent(element).trim() : ''))
+            .filter(Boolean);
+
+        for (const text of candidates) {
+            const match = HTML_TITLE_TYPES.find(({ pattern }) => pattern.test(text));
+            if (match) return match.type;
+        }
+        return null;
+    }
+
+    /**
+     * Parse the date shown next to an entry in the HTML export
+     * (e.g. "Jan 05, 2024, 3:12 pm", or an ISO date on its own) into a Unix
+     * timestamp in seconds. Date.parse is only trusted with ISO dates: it reads
+     * a date into any text ending in a number, such as "user 12".
+     */
+    static parseHTMLDate(text) {
+        const match = text.match(/\b([A-Za-z]{3})[a-z]*\.? (\d{1,2}),? (\d{4}),? (\d{1,2}):(\d{2})(?::\d{2})?\s*([ap]\.?m\.?)?/i);
+        if (match) {
+            const month = MONTHS.indexOf(match[1].toLowerCase());
+            if (month !== -1) {
+                let hours = Number(match[4]);
+                if (match[6]) {
+                    hours = hours % 12 + (/p/i.test(match[6]) ? 12 : 0);
+                }
+                const date = new Date(Number(match[3]), month, Number(match[2]), hours, Number(match[5]));
+                return Math.floor(date.getTime() / 1000);
+            }
+        }
+
+        const iso = text.trim();
+        if (!ISO_DATE.test(iso)) return null;
+        const parsed = Date.parse(iso);
+        return Number.isNaN(parsed) ? null : Math.floor(parsed / 1000);
+    }
+
+    // Entries parsed between progress reports
+    static HTML_BATCH = 500;
+
+    static isEntryBox(element) {
+        return HTMLExportReader.hasClass(element, ['uiBoxWhite', '_a6-g']);
+    }
+
+    static isProfileLink(element) {
+        return element.tag === 'a' && (element.attrs.href || '').includes('instagram.com');
+    }
+
+    /**
+     * Find the element holding one entry of the HTML export: the export's
+     * own entry box, or else the largest ancestor with no other profile link
+     */
+    static findHTMLEntry(link) {
+        const box = HTMLExportReader.closest(link, element => this.isEntryBox(element));
+        if (box) return box;
+
+        let entry = link;
+        const isPage = element => !element.parent || element.tag === 'body' || element.tag === 'html';
+        while (entry.parent && !isPage(entry.parent) &&
+            HTMLExportReader.findAll(entry.parent, element => this.isProfileLink(element)).length === 1) {
+            entry = entry.parent;
+        }
+        return entry;
+    }
+
+    /**
+     * Parse users from HTML format (Instagram HTML export)
+     * Each entry is a box with a profile link and the date, like:
+     * <div class="uiBoxWhite"><a href="https://www.instagram.com/username">username</a><div>Jan 05, 2024, 3:12 pm</div></div>
+     * @param {string|Object} htmlContent - The page, or its tree from HTMLExportReader
+     * @param {Function} progress - Optional, called with the fraction done:
+     *   reading the page (unless already read), then every batch of entries
+     */
+    static parseHTML(htmlContent, report = null, progress = null) {
+        try {
+            const users = [];
+            const read = typeof htmlContent === 'string';
+            const doc = read ? HTMLExportReader.parse(htmlContent, progress && (done => progress(done / 2))) : htmlContent;
+            const start = read ? 0.5 : 0;
+
+            // Only links inside the export's entry boxes count, when the page has them
+            const hasEntryBoxes = HTMLExportReader.find(doc, element => this.isEntryBox(element)) !== null;
+            const links = HTMLExportReader.findAll(doc, element => this.isProfileLink(element));
+
+            links.forEach((link, i) => {
+                if (progress && i % InstagramDataParser.HTML_BATCH === 0) {
+                    progress(start + (i / links.length) * (1 - start));
+                }
+
+                const href = link.attrs.href;
+                const linkText = HTMLExportReader.textContent(link);
+                const username = linkText.trim();
+
+                if (hasEntryBoxes && !HTMLExportReader.closest(link, element => this.isEntryBox(element))) {
+                    return;
+                }
+
+                // Extract username from URL if text content doesn't match
+                if (href && href.includes('instagram.com')) {
+                    // Skip non-profile links (like instagram.com/explore, etc.)
+                    const urlMatch = href.match(/instagram\.com\/(?:_u\/)?([a-zA-Z0-9._]+)\/?(?:\?.*)?$/);
+                    if (urlMatch && urlMatch[1]) {
+                        const extractedUsername = urlMatch[1];
+                        // Use text content if it looks like a username, otherwise use extracted
+                        const finalUsername = username && USERNAME_PATTERN.test(username)
+                            ? username
+                            : extractedUsername;
+
+                        // The entry's date is the text around the link
+                        const entryText = HTMLExportReader.textContent(this.findHTMLEntry(link)).replace(linkText, ' ');
+
+                        this.addEntry(users, {
+                            username: finalUsername,
+                            timestamp: this.parseHTMLDate(entryText),
+                            href: href
+                        }, report);
+                    }
+                }
+            });
+
+            return this.uniqueEntries(users, report);
+        } catch (error) {
+            console.error('Error parsing HTML:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Drop the entries of a file listing the same username twice, counting them
+     */
+    static uniqueEntries(users, report = null) {
+        const uniqueUsers = this.dedupeUsers(users);
+        if (report) report.duplicates += users.length - uniqueUsers.length;
+        return uniqueUsers;
+    }
+
+    /**
+     * Remove duplicate users (case-insensitive username), keeping the first occurrence
+     */
+    static dedupeUsers(users) {
+        const uniqueUsers = [];
+        const seen = new Set();
+        users.forEach(user => {
+            const lower = user.username.toLowerCase();
+            if (!seen.has(lower)) {
+                seen.add(lower);
+                uniqueUsers.push(user);
+            }
+        });
+        return uniqueUsers;
+    }
+
+    /**
+     * Merge the users of several parts of one relationship type
+     * (e.g. followers_1.json, followers_2.json, …) into a single list
+     */
+    static mergeParts(parts) {
+        return this.dedupeUsers(parts.flatMap(part => part.users));
+    }
+
+    /**
+     * Read the export date from an archive or folder name such as
+     * "instagram-username-2024-01-15-AbCdEf.zip"
+     * @returns {string|null} - ISO date at UTC midnight, so the day is the
+     *   same in every timezone, or null if the name holds no date
+     */
+    static detectExportDate(name) {
+        const match = name.match(/(?:^|\D)(\d{4})-(\d{2})-(\d{2})(?=\D|$)/);
+        if (!match) return null;
+
+        const [year, month, day] = match.slice(1).map(Number);
+        const date = new Date(Date.UTC(year, month - 1, day));
+        if (date.getUTCMonth() !== month - 1 || year < 2010 || date > new Date()) {
+            return null;
+        }
+        return date.toISOString();
+    }
+
+    /**
+     * Date a snapshot from its imported parts: the export archive name when
+     * known, else the newest follow in the data, else now
+     * @param {Array} parts - Imported files { users, exportDate }
+     * @returns {Object} - { date (ISO), source (where the date came from) }
+     */
+    static detectSnapshotDate(parts) {
+        let newest = 0;
+        parts.forEach(part => part.users.forEach(user => {
+            if (user.timestamp > newest) newest = user.timestamp;
+        }));
+        const newestDate = newest ? new Date(newest * 1000) : null;
+
+        const exportDates = parts.map(part => part.exportDate).filter(Boolean).sort();
+        if (exportDates.length > 0) {
+            // The name only has the day; a follow later that day narrows it down
+            const exportDate = new Date(exportDates[exportDates.length - 1]);
+            const date = newestDate > exportDate ? newestDate : exportDate;
+            return { date: date.toISOString(), source: 'the export archive name' };
+        }
+        if (newestDate) {
+            return { date: newestDate.toISOString(), source: 'the newest follow in the data' };
+        }
+        return { date: new Date().toISOString(), source: 'the upload time, the export has no dates' };
+    }
+
+    /**
+     * Determine the relationship type of an archive entry from its path
+     * @returns {string|null} - The type (e.g. 'followers'), or null if not relevant
+     */
+    static detectArchiveFileType(path) {
+        const match = ARCHIVE_FILE_TYPES.find(({ pattern }) => pattern.test(path));
+        return match ? match.type : null;
+    }
+
+    /**
+     * Route file data to the parser for its relationship type
+     */
+    static parseFile(type, data, isHTML = false, report = null, progress = null) {
+        switch (type) {
+            case 'followers':
+                return this.parseFollowers(data, isHTML, report, progress);
+            case 'following':
+                return this.parseFollowing(data, isHTML, report, progress);
+            default:
+                if (!RELATIONSHIP_FILE_TYPES[type]) {
+                    throw new Error(`No parser available for "${type}" files`);
+                }
+                return isHTML ? this.parseHTML(data, report, progress) : this.parseRelationshipJSON(type, data, report);
+        }
+    }
+
+    /**
+     * Legacy method for backward compatibility - routes to appropriate parser
+     */
+    static parseFollowers(data, isHTML = false, report = null, progress = null) {
+        if (isHTML) {
+            return this.parseHTML(data, report, progress);
+        }
+        return this.parseFollowersJSON(data, report);
+    }
+
+    /**
+     * Legacy method for backward compatibility - routes to appropriate parser
+     */
+    static parseFollowing(data, isHTML = false, report = null, progress = null) {
+        if (isHTML) {
+            return this.parseHTML(data, report, progress);
+        }
+        return this.parseFollowingJSON(data, report);
+    }
+}
+
+// ========================================
+// Comparison Engine
+// ========================================
+class ComparisonEngine {
+    static findUnfollowers(previousFollowers, currentFollowers) {
+        const currentSet = new Set(currentFollowers.map(u => u.username.toLowerCase()));
+        return previousFollowers.filter(u => !currentSet.has(u.username.toLowerCase()));
+    }
+
+    static findNewFollowers(previousFollowers, currentFollowers) {
+        const previousSet = new Set(previousFollowers.map(u => u.username.toLowerCase()));
+        return currentFollowers.filter(u => !previousSet.has(u.username.toLowerCase()));
+    }
+
+    static findNotFollowingBack(followers, following) {
+        const followersSet = new Set(followers.map(u => u.username.toLowerCase()));
+        return following.filter(u => !followersSet.has(u.username.toLowerCase()));
+    }
+
+    // Following-side diff: changes in who *you* follow
+    static findYouUnfollowed(previousFollowing, currentFollowing) {
+        return this.findUnfollowers(previousFollowing, currentFollowing);
+    }
+
+    static findYouStartedFollowing(previousFollowing, currentFollowing) {
+        return this.findNewFollowers(previousFollowing, currentFollowing);
+    }
+
+    /**
+     * Diff one list, setting apart accounts that look renamed so a new
+     * username doesn't count as one removal plus one addition
+     * @returns {Object} - { removed, added, renamed }, renamed being the
+     *   current accounts with previousUsername and renameReasons
+     */
+    static diffWithRenames(previousUsers, currentUsers) {
+        const removed = this.findUnfollowers(previousUsers, currentUsers);
+        const added = this.findNewFollowers(previousUsers, currentUsers);
+        const pairs = this.findRenames(removed, added);
+        const paired = new Set(pairs.flatMap(({ from, to }) => [from, to]));
+
+        return {
+            removed: removed.filter(u => !paired.has(u)),
+            added: added.filter(u => !paired.has(u)),
+            renamed: pairs.map(({ from, to, reasons }) => ({ ...to, previousUsername: from.username, renameReasons: reasons }))
+        };
+    }
+
+    /**
+     * Pair accounts that disappeared with accounts that appeared when they
+     * are likely the same account under a new username: the same original
+     * follow timestamp, a profile link pointing at the other username, or a
+     * very similar name. Different follow timestamps rule a pair out unless
+     * the links match. Each account is paired at most once, strongest
+     * evidence first.
+     * @returns {Array} - [{ from, to, reasons }], reasons being 'timestamp', 'link' and/or 'name'
+     */
+    static findRenames(removed, added) {
+        if (removed.length === 0 || added.length === 0) return [];
+
+        // Accounts followed in the same second can't be told apart by the timestamp alone
+        const timestampCounts = new Map();
+        [...removed, ...added].forEach(u => {
+            if (u.timestamp) timestampCounts.set(u.timestamp, (timestampCounts.get(u.timestamp) || 0) + 1);
+        });
+
+        const addedByTimestamp = new Map();
+        const addedByName = new Map();
+        const addedWithoutTimestamp = [];
+        added.forEach(u => {
+            if (u.timestamp) {
+                if (!addedByTimestamp.has(u.timestamp)) addedByTimestamp.set(u.timestamp, []);
+                addedByTimestamp.get(u.timestamp).push(u);
+            } else {
+                addedWithoutTimestamp.push(u);
+            }
+            addedByName.set(u.username.toLowerCase(), u);
+            const linked = this.linkedUsername(u);
+            if (linked && !addedByName.has(linked)) addedByName.set(linked, u);
+        });
+
+        // Without a timestamp on either side only a link or the name can
+        // pair accounts, so those are looked up by name rather than
+        // compared with every account
+        const untimedNames = this.indexNames(addedWithoutTimestamp);
+        const allNames = removed.some(u => !u.timestamp) ? this.indexNames(added) : null;
+
+        const candidates = [];
+        removed.forEach(from => {
+            // Different timestamps rule out everything but a link, so only
+            // accounts with the same or no timestamp need a closer look
+            const others = new Set(from.timestamp
+                ? [...(addedByTimestamp.get(from.timestamp) || []), ...this.findSimilarNames(from.username, untimedNames)]
+                : this.findSimilarNames(from.username, allNames));
+            const linked = addedByName.get(this.linkedUsername(from)) || addedByName.get(from.username.toLowerCase());
+            if (linked) others.add(linked);
+
+            others.forEach(to => {
+                const reasons = this.renameReasons(from, to, timestampCounts);
+                if (reasons.length > 0) candidates.push({ from, to, reasons });
+            });
+        });
+
+        const strength = ({ reasons }) => reasons.length * 2 + (reasons.includes('timestamp') || reasons.includes('link') ? 1 : 0);
+        candidates.sort((a, b) => strength(b) - strength(a));
+
+        const used = new Set();
+        return candidates.filter(({ from, to }) => {
+            if (used.has(from) || used.has(to)) return false;
+            used.add(from);
+            used.add(to);
+            return true;
+        });
+    }
+
+    static renameReasons(from, to, timestampCounts) {
+        const reasons = [];
+        const sameTimestamp = Boolean(from.timestamp) && from.timestamp === to.timestamp;
+        const fromLink = this.linkedUsername(from);
+        const toLink = this.linkedUsername(to);
+        const sameLink = (fromLink && (fromLink === toLink || fromLink === to.username.toLowerCase())) ||
+            toLink === from.username.toLowerCase();
+
+        if (from.timestamp && to.timestamp && !sameTimestamp && !sameLink) return [];
+
+        if (sameTimestamp) reasons.push('timestamp');
+        if (sameLink) reasons.push('link');
+        if (this.isSimilarName(from.username, to.username)) reasons.push('name');
+
+        // A timestamp shared with other accounts needs more evidence
+        if (reasons.length === 1 && sameTimestamp && timestampCounts.get(from.timestamp) > 2) return [];
+        return reasons;
+    }
+
+    /**
+     * The username a profile link points to (instagram.com/<name> or
+     * instagram.com/_u/<name>), lowercase, or null
+     */
+    static linkedUsername(user) {
+        const match = /instagram\.com\/(?:_u\/)?([A-Za-z0-9._]+)\/?(?:[?#]|$)/.exec(user.href || '');
+        return match ? match[1].toLowerCase() : null;
+    }
+
+    static normalizeName(name) {
+        return name.toLowerCase().replace(/[._]/g, '');
+    }
+
+    // Edit distance isSimilarName allows between two normalized names
+    static allowedNameDistance(x, y) {
+        return Math.floor(Math.max(x.length, y.length) * 0.25);
+    }
+
+    /**
+     * Index accounts by the letter pairs in their normalized names, for
+     * findSimilarNames
+     * @returns {Map} - letter pair → [{ user, count }]
+     */
+    static indexNames(users) {
+        const index = new Map();
+        users.forEach(user => {
+            this.letterPairs(this.normalizeName(user.username)).forEach((count, pair) => {
+                if (!index.has(pair)) index.set(pair, []);
+                index.get(pair).push({ user, count });
+            });
+        });
+        return index;
+    }
+
+    /**
+     * Accounts from indexNames whose names are similar to name. Each edit
+     * breaks at most two letter pairs, so names within the allowed distance
+     * share nearly all of theirs, and only those get the full comparison.
+     */
+    static findSimilarNames(name, index) {
+        const x = this.normalizeName(name);
+        if (x.length < 4) return [];
+
+        const shared = new Map();
+        this.letterPairs(x).forEach((count, pair) => {
+            (index.get(pair) || []).forEach(entry => {
+                shared.set(entry.user, (shared.get(entry.user) || 0) + Math.min(count, entry.count));
+            });
+        });
+
+        return [...shared]
+            .filter(([user, count]) => {
+                const y = this.normalizeName(user.username);
+                return count >= x.length - 1 - 2 * this.allowedNameDistance(x, y) && this.isSimilarName(name, user.username);
+            })
+            .map(([user]) => user);
+    }
+
+    // Letter pair → number of times it occurs in text
+    static letterPairs(text) {
+        const pairs = new Map();
+        for (let i = 0; i < text.length - 1; i++) {
+            const pair = text.slice(i, i + 2);
+            pairs.set(pair, (pairs.get(pair) || 0) + 1);
+        }
+        return pairs;
+    }
+
+    /**
+     * Names that differ only by punctuation or a few characters
+     * (jane.doe → janedoe_, bob_builder → bob_builder99)
+     */
+    static isSimilarName(a, b) {
+        const x = this.normalizeName(a);
+        const y = this.normalizeName(b);
+        if (Math.min(x.length, y.length) < 4) return false;
+        if (x === y) return true;
+
+        // Edit distance, skipped when the lengths alone rule it out
+        const allowed = this.allowedNameDistance(x, y);
+        if (Math.abs(x.length - y.length) > allowed) return false;
+
+        let row = Array.from({ length: y.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= x.length; i++) {
+            const next = [i];
+            for (let j = 1; j <= y.length; j++) {
+                next[j] = Math.min(row[j] + 1, next[j - 1] + 1, row[j - 1] + (x[i - 1] === y[j - 1] ? 0 : 1));
+            }
+            row = next;
+        }
+        return row[y.length] <= allowed;
+    }
+
+    /**
+     * Sent follow requests that were never accepted (still pending, not in following)
+     */
+    static findUnacceptedRequests(relationships, following) {
+        const followingSet = new Set(following.map(u => u.username.toLowerCase()));
+        const requests = InstagramDataParser.dedupeUsers([
+            ...(relationships.pendingRequests || []),
+            ...(relationships.recentRequests || [])
+        ]);
+        return requests.filter(u => !followingSet.has(u.username.toLowerCase()));
+    }
+
+    static findCloseFriendsNotFollowing(relationships, followers) {
+        return this.findNotFollowingBack(followers, relationships.closeFriends || []);
+    }
+
+    /**
+     * Added/removed accounts for each of the other relationship lists
+     * @returns {Object} - type → { added, removed }, only for types present in both snapshots
+     */
+    static diffRelationships(previous, current) {
+        const changes = {};
+        Object.keys(RELATIONSHIP_FILE_TYPES).forEach(type => {
+            const before = previous?.relationships?.[type];
+            const after = current?.relationships?.[type];
+            if (!before || !after) return;
+            changes[type] = {
+                added: this.findNewFollowers(before, after),
+                removed: this.findUnfollowers(before, after)
+            };
+        });
+        return changes;
+    }
+
+    /**
+     * Find followers of the final snapshot who stopped following at some
+     * point in between and came back
+     * @param {Array} snapshots - Snapshots in the range, oldest first
+     */
+    static findReturnedFollowers(snapshots) {
+        if (snapshots.length < 3) return [];
+
+        const seen = new Set();
+        const left = new Set();
+
+        snapshots.slice(0, -1).forEach(snapshot => {
+            const current = new Set(snapshot.followers.map(u => u.username.toLowerCase()));
+            seen.forEach(username => {
+                if (!current.has(username)) left.add(username);
+            });
+            current.forEach(username => seen.add(username));
+        });
+
+        const last = snapshots[snapshots.length - 1];
+        return last.followers.filter(u => left.has(u.username.toLowerCase()));
+    }
+
+    /**
+     * Index every account across all snapshots with the chronological list
+     * of relationship changes (followed you, unfollowed you, you followed, …)
+     * @param {Array} snapshots - All stored snapshots, in any order
+     * @returns {Map} - Lowercase username → { username, events, followsYou, youFollow }
+     */
+    static buildRelationshipIndex(snapshots) {
+        const sorted = [...snapshots].sort((a, b) => new Date(a.date) - new Date(b.date));
+        const index = new Map();
+
+        const getEntry = (key, user) => {
+            if (!index.has(key)) {
+                index.set(key, { username: user.username, events: [], followsYou: false, youFollow: false });
+            }
+            const entry = index.get(key);
+            entry.username = user.username; // Keep the most recent casing
+            return entry;
+        };
+
+        const diffSide = (snapshot, initial, previous, current, types) => {
+            current.forEach((user, key) => {
+                if (!previous.has(key)) {
+                    const entry = getEntry(key, user);
+                    const returning = entry.events.some(e => e.type === types.added);
+                    entry.events.push({
+                        type: returning ? types.readded : types.added,
+                        date: snapshot.date,
+                        snapshotId: snapshot.id,
+                        timestamp: user.timestamp || null,
+                        initial
+                    });
+                }
+            });
+            previous.forEach((user, key) => {
+                if (!current.has(key)) {
+                    getEntry(key, user).events.push({
+                        type: types.removed,
+                        date: snapshot.date,
+                        snapshotId: snapshot.id,
+                        timestamp: null,
+                        initial
+                    });
+                }
+            });
+        };
+
+        const toMap = users => new Map((users || []).map(u => [u.username.toLowerCase(), u]));
+        let previousFollowers = new Map();
+        let previousFollowing = new Map();
+
+        sorted.forEach((snapshot, i) => {
+            const followers = toMap(snapshot.followers);
+            const following = toMap(snapshot.following);
+
+            diffSide(snapshot, i === 0, previousFollowers, followers,
+                { added: 'followedYou', readded: 'refollowedYou', removed: 'unfollowedYou' });
+            diffSide(snapshot, i === 0, previousFollowing, following,
+                { added: 'youFollowed', readded: 'youRefollowed', removed: 'youUnfollowed' });
+
+            previousFollowers = followers;
+            previousFollowing = following;
+        });
+
+        index.forEach((entry, key) => {
+            entry.followsYou = previousFollowers.has(key);
+            entry.youFollow = previousFollowing.has(key);
+        });
+
+        return index;
+    }
+
+    /**
+     * Per-snapshot counts for the growth chart, oldest first
+     * @returns {Array} - [{ id, date, followers, following, gained, lost }]
+     */
+    static buildGrowthSeries(snapshots) {
+        const sorted = [...snapshots].sort((a, b) => new Date(a.date) - new Date(b.date));
+
+        return sorted.map((snapshot, i) => {
+            const previous = sorted[i - 1];
+            const changes = previous ? this.diffWithRenames(previous.followers, snapshot.followers) : null;
+            return {
+                id: snapshot.id,
+                date: snapshot.date,
+                followers: snapshot.followers.length,
+                following: snapshot.following.length,
+                gained: changes ? changes.added.length : 0,
+                lost: changes ? changes.removed.length : 0
+            };
+        });
+    }
+
+    /**
+     * Compare the first and last snapshots of a range
+     * @param {Array} snapshots - Snapshots in the range, oldest first
+     */
+    static compareRange(snapshots) {
+        const from = snapshots[0];
+        const to = snapshots[snapshots.length - 1];
+        const followerChanges = this.diffWithRenames(from.followers, to.followers);
+        const followingChanges = this.diffWithRenames(from.following, to.following);
+
+        return {
+            from,
+            to,
+            unfollowers: followerChanges.removed,
+            newFollowers: followerChanges.added,
+            possiblyRenamed: this.mergeRenames(followerChanges.renamed, followingChanges.renamed),
+            returnedFollowers: this.findReturnedFollowers(snapshots),
+            youUnfollowed: followingChanges.removed,
+            youStartedFollowing: followingChanges.added,
+            relationshipChanges: this.diffRelationships(from, to)
+        };
+    }
+
+    /**
+     * One entry per renamed account, whether it follows you, you follow it or both
+     */
+    static mergeRenames(...lists) {
+        return InstagramDataParser.dedupeUsers(lists.flat());
+    }
+
+    /**
+     * Build the full analysis of a snapshot against the one before it
+     * @param {Object|null} previous - Earlier snapshot ({ followers, following }), or null
+     * @param {Object} current - Snapshot to analyze ({ followers, following })
+     */
+    static compareSnapshots(previous, current) {
+        const followers = current.followers || [];
+        const following = current.following || [];
+        const previousFollowers = previous?.followers || [];
+        const previousFollowing = previous?.following || [];
+        const relationships = current.relationships || {};
+        const noChanges = { removed: [], added: [], renamed: [] };
+        const followerChanges = previous ? this.diffWithRenames(previousFollowers, followers) : noChanges;
+        const followingChanges = previous ? this.diffWithRenames(previousFollowing, following) : noChanges;
+
+        return {
+            followers,
+            following,
+            relationships,
+            unfollowers: followerChanges.removed,
+            newFollowers: followerChanges.added,
+            possiblyRenamed: this.mergeRenames(followerChanges.renamed, followingChanges.renamed),
+            youUnfollowed: followingChanges.removed,
+            youStartedFollowing: followingChanges.added,
+            notFollowingBack: this.findNotFollowingBack(followers, following),
+            unacceptedRequests: this.findUnacceptedRequests(relationships, following),
+            closeFriendsNotFollowing: this.findCloseFriendsNotFollowing(relationships, followers)
+        };
+    }
+}
+
+// ========================================
+// Analysis Tasks
+// ========================================
+
+/**
+ * The heavy work of an import: parsing export files and comparing snapshots.
+ * Each task takes and returns plain (structured-cloneable) data and reports
+ * progress as progress(fraction, stage), so it can run in worker.js or, where
+ * workers aren't available, on the main thread.
+ */
+const AnalysisTasks = {
+    /**
+     * Parse a JSON or HTML export file, detecting its type when not given
+     * @param {string|null} fallbackType - Type to use when it can't be detected
+     *   from the content (e.g. taken from the file name)
+     * @returns {Object} - { type, users, report }, type is null if not an export file
+     */
+    parse({ type, fallbackType = null, name, data, isHTML = false }, progress) {
+        // An HTML page is read once, for its type and its entries
+        progress(0, `Reading ${name}`);
+        const content = isHTML
+            ? HTMLExportReader.parse(data, done => progress(done * 0.5, `Reading ${name}`))
+            : typeof data === 'string' ? JSON.parse(data) : data;
+        const detected = type || (isHTML
+            ? InstagramDataParser.detectHTMLType(content)
+            : InstagramDataParser.detectJSONType(content, name)) || fallbackType;
+        if (!detected) {
+            return { type: null, users: [], report: null };
+        }
+
+        const stage = `Parsing ${name}`;
+        progress(0.5, stage);
+        const report = new ImportReport(name);
+        const users = InstagramDataParser.parseFile(detected, content, isHTML, report,
+            done => progress(0.5 + done * 0.5, stage));
+        return { type: detected, users, report };
+    },
+
+    /**
+     * Merge the uploaded parts of every type and compare with the previous snapshot
+     * @param {Object} parts - { [type]: [users of each part] }
+     * @returns {Object} - The comparison, plus the fingerprint of the merged data
+     */
+    analyze({ parts, previous }, progress) {
+        progress(0, 'Merging files');
+        const merged = {};
+        Object.entries(parts).forEach(([type, lists]) => {
+            merged[type] = InstagramDataParser.dedupeUsers(lists.flat());
+        });
+
+        const { followers = [], following = [], ...relationships } = merged;
+        progress(0.5, previous ? 'Comparing with the previous snapshot' : 'Building results');
+        const result = ComparisonEngine.compareSnapshots(previous, { followers, following, relationships });
+
+        progress(0.9, 'Checking for an identical snapshot');
+        return { ...result, fingerprint: fingerprintSnapshot({ followers, following, relationships }) };
+    },
+
+    compareSnapshots: ({ previous, current }) => ComparisonEngine.compareSnapshots(previous, current),
+    compareRange: ({ snapshots }) => ComparisonEngine.compareRange(snapshots),
+    buildRelationshipIndex: ({ snapshots }) => ComparisonEngine.buildRelationshipIndex(snapshots)
+};
+
+// ========================================
+// Report Export
+// ========================================
+
+// Tags a whitelist entry can carry
+const WHITELIST_TAGS = {
+    celebrity: 'Celebrity',
+    brand: 'Brand',
+    friend: 'Friend'
+};
+
+/**
+ * Read a whitelist file exported by the web app: JSON (a list of usernames
+ * or entries, or a backup-style { whitelist }) or CSV with username, tag and
+ * note columns (a header row is optional)
+ * @returns {Array} - Usernames or { username, tag, note } entries, not yet normalized
+ */
+function parseWhitelistFile(name, text) {
+    if (name.toLowerCase().endsWith('.json')) {
+        const data = JSON.parse(text);
+        const entries = Array.isArray(data) ? data : data?.whitelist;
+        if (!Array.isArray(entries)) {
+            throw new Error('Expected a list of usernames or whitelist entries');
+        }
+        return entries;
+    }
+
+    const rows = parseCSV(text.replace(/^\uFEFF/, '')).filter(row => row.some(cell => cell.trim()));
+    const header = (rows[0] || []).map(cell => cell.trim().toLowerCase());
+    const hasHeader = header.includes('username');
+    const columns = hasHeader ? header : ['username', 'tag', 'note'];
+    const column = (row, name) => (columns.indexOf(name) === -1 ? undefined : row[columns.indexOf(name)]);
+
+    return rows.slice(hasHeader ? 1 : 0).map(row => ({
+        username: column(row, 'username'),
+        tag: unescapeFormula(column(row, 'tag')),
+        note: unescapeFormula(column(row, 'note'))
+    }));
+}
+
+/**
+ * Result categories in tab order, with the file name used when one is
+ * exported on its own
+ */
+const REPORT_CATEGORIES = {
+    unfollowers: { label: 'Unfollowers', file: 'unfollowers' },
+    newFollowers: { label: 'New Followers', file: 'new_followers' },
+    possiblyRenamed: { label: 'Possibly Renamed', file: 'possibly_renamed' },
+    youUnfollowed: { label: 'You Unfollowed', file: 'you_unfollowed' },
+    youStartedFollowing: { label: 'You Started Following', file: 'you_started_following' },
+    unacceptedRequests: { label: 'Requests Never Accepted', file: 'unaccepted_requests' },
+    closeFriendsNotFollowing: { label: 'Close Friends Not Following', file: 'close_friends_not_following' },
+    notFollowingBack: { label: "Don't Follow Back", file: 'not_following_back' },
+    whitelist: { label: 'Whitelist', file: 'whitelist' },
+    followers: { label: 'All Followers', file: 'followers' },
+    following: { label: 'Following', file: 'following' }
+};
+
+/**
+ * Exportable columns. Values are typed for JSON (null when missing); the
+ * table formats write them as text. Dates are ISO 8601 in UTC.
+ */
+const EXPORT_COLUMNS = {
+    username: { label: 'Username', value: user => user.username },
+    previousUsername: { label: 'Previous username', value: user => user.previousUsername || null },
+    profileUrl: { label: 'Profile URL', value: user => user.href || `https://instagram.com/${user.username}` },
+    date: { label: 'Date', value: user => (user.timestamp ? new Date(user.timestamp * 1000).toISOString() : null) },
+    whitelisted: { label: 'Whitelisted', value: (user, entry) => Boolean(entry) },
+    tag: { label: 'Tag', value: (user, entry) => (entry?.tag ? WHITELIST_TAGS[entry.tag] : null) },
+    note: { label: 'Note', value: (user, entry) => entry?.note || null }
+};
+
+/**
+ * Writes one or more result categories as CSV (RFC 4180), JSON, an Excel
+ * XML spreadsheet or Markdown tables. Exports are built from sections
+ * { key, label, users } and optional report metadata { generatedAt,
+ * snapshot, comparedTo } describing the analysis.
+ */
+class ReportExport {
+    static FORMATS = {
+        csv: { extension: 'csv', type: 'text/csv;charset=utf-8;' },
+        json: { extension: 'json', type: 'application/json' },
+        spreadsheet: { extension: 'xml', type: 'application/vnd.ms-excel' },
+        markdown: { extension: 'md', type: 'text/markdown;charset=utf-8;' }
+    };
+
+    /**
+     * @param {string} format - A FORMATS key
+     * @param {Array} sections - Categories to export, { key, label, users }
+     * @param {Array<string>} columns - EXPORT_COLUMNS keys
+     * @param {Object} options - { whitelist: Map of entries, meta: report
+     *     metadata, only given for whole-report exports }
+     * @returns {Object} - { content, extension, type }
+     */
+    static build(format, sections, columns, { whitelist = new Map(), meta = null } = {}) {
+        const tables = sections.map(section => ({
+            ...section,
+            rows: section.users.map(user => {
+                const entry = whitelist.get(user.username.toLowerCase());
+                return columns.map(column => EXPORT_COLUMNS[column].value(user, entry));
+            })
+        }));
+        const headers = columns.map(column => EXPORT_COLUMNS[column].label);
+        const writers = {
+            csv: () => ReportExport.toCSV(tables, headers, meta),
+            json: () => ReportExport.toJSON(tables, columns, meta),
+            spreadsheet: () => ReportExport.toSpreadsheet(tables, headers, meta),
+            markdown: () => ReportExport.toMarkdown(tables, headers, meta)
+        };
+
+        return { content: writers[format](), ...ReportExport.FORMATS[format] };
+    }
+
+    static text(value) {
+        if (value === null || value === undefined) return '';
+        if (typeof value === 'boolean') return value ? 'yes' : 'no';
+        return String(value);
+    }
+
+    /**
+     * Metadata as label/value pairs for the table formats
+     */
+    static metaRows(meta) {
+        const describe = snapshot => [snapshot.date, snapshot.label].filter(Boolean).join(' – ');
+        return [
+            ['Generated', meta.generatedAt],
+            ['Snapshot', meta.snapshot ? describe(meta.snapshot) : ''],
+            ['Snapshot note', meta.snapshot?.note || ''],
+            ['Compared to', meta.comparedTo ? describe(meta.comparedTo) : 'No earlier snapshot']
+        ].filter(([, value]) => value);
+    }
+
+    /**
+     * A report is written as one table with a leading Category column and
+     * the snapshot date on every row, so it stays a single RFC 4180 file
+     */
+    static toCSV(tables, headers, meta) {
+        if (!meta) {
+            return toCSV([headers, ...tables[0].rows.map(row => row.map(ReportExport.text))]);
+        }
+
+        const snapshot = meta.snapshot?.date || '';
+        const comparedTo = meta.comparedTo?.date || '';
+        return toCSV([
+            ['Category', 'Snapshot date', 'Compared to', ...headers],
+            ...tables.flatMap(table => table.rows.map(row => [
+                table.label, snapshot, comparedTo, ...row.map(ReportExport.text)
+            ]))
+        ]);
+    }
+
+    static toJSON(tables, columns, meta) {
+        const records = table => table.rows.map(row => Object.fromEntries(columns.map((column, i) => [column, row[i]])));
+
+        if (!meta) {
+            return JSON.stringify(records(tables[0]), null, 2);
+        }
+        return JSON.stringify({
+            ...meta,
+            counts: Object.fromEntries(tables.map(table => [table.key, table.rows.length])),
+            categories: Object.fromEntries(tables.map(table => [table.key, records(table)]))
+        }, null, 2);
+    }
+
+    /**
+     * Excel 2003 XML spreadsheet (opens in Excel, LibreOffice and Numbers),
+     * one worksheet per category plus a summary sheet for reports. String
+     * cells are never run as formulas, so unlike CSV they keep the text as is
+     */
+    static toSpreadsheet(tables, headers, meta) {
+        const xml = value => ReportExport.text(value).replace(/[<>&"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' })[c]);
+        const row = cells => `<Row>${cells.map(cell => `<Cell><Data ss:Type="String">${xml(cell)}</Data></Cell>`).join('')}</Row>`;
+        const sheet = (name, rows) => `<Worksheet ss:Name="${xml(name.replace(/[[\]:*?/\\]/g, '').slice(0, 31))}"><Table>${rows.map(row).join('\n')}</Table></Worksheet>`;
+
+        const sheets = tables.map(table => sheet(table.label, [headers, ...table.rows]));
+        if (meta) {
+            sheets.unshift(sheet('Summary', [
+                ...ReportExport.metaRows(meta),
+                [],
+                ['Category', 'Accounts'],
+                ...tables.map(table => [table.label, String(table.rows.length)])
+            ]));
+        }
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<?mso-application progid="Excel.Sheet"?>',
+            '<Workbook xmlns="urn:schemas-microsoft-com:office:spreadsheet" xmlns:ss="urn:schemas-microsoft-com:office:spreadsheet">',
+            ...sheets,
+            '</Workbook>'
+        ].join('\n');
+    }
+
+    static toMarkdown(tables, headers, meta) {
+        const cell = value => ReportExport.text(value).replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+        const table = rows => [
+            `| ${headers.map(cell).join(' | ')} |`,
+            `| ${headers.map(() => '---').join(' | ')} |`,
+            ...rows.map(row => `| ${row.map(cell).join(' | ')} |`)
+        ].join('\n');
+
+        if (!meta) {
+            return table(tables[0].rows) + '\n';
+        }
+
+        const summary = ReportExport.metaRows(meta).map(([label, value]) => `- **${label}:** ${cell(value)}`);
+        const sections = tables.map(t => `## ${t.label} (${t.rows.length})\n\n${t.rows.length ? table(t.rows) : '_None_'}`);
+        return ['# GhostTrace report', summary.join('\n'), ...sections].join('\n\n') + '\n';
+    }
+}
+
+// Node (cli.js and the tests) loads this file as a CommonJS module; in the browser and in
+// worker.js its declarations are shared globals
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        hashString,
+        parseCSV,
+        toCSV,
+        fingerprintSnapshot,
+        ZipArchiveReader,
+        HTMLExportReader,
+        RELATIONSHIP_FILE_TYPES,
+        USERNAME_PATTERN,
+        ImportReport,
+        InstagramDataParser,
+        ComparisonEngine,
+        AnalysisTasks,
+        WHITELIST_TAGS,
+        parseWhitelistFile,
+        REPORT_CATEGORIES,
+        EXPORT_COLUMNS,
+        ReportExport
+    };
+}
@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+/**
+ * GhostTrace - Instagram Follower Tracker
+ * Writes the precache list of sw.js: every file the app needs offline, with
+ * a hash of its content. Any change to those files changes sw.js, which is
+ * how browsers notice a new version. Run "npm run precache" after changing
+ * them; "--check" only reports whether sw.js is up to date.
+ */
+'use strict';
+
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const crypto = require('node:crypto');
+
+const ROOT = __dirname;
+const SERVICE_WORKER = path.join(ROOT, 'sw.js');
+
+// Paths relative to the service worker, so the app works from any sub-path
+const FILES = [
+    'index.html',
+    'demo.html',
+    'privacy.html',
+    'styles.css',
+    'styles_additions.css',
+    'core.js',
+    'app.js',
+    'worker.js',
+    'manifest.json',
+    'favicon.png',
+    'icons/icon-192.png',
+    'icons/icon-512.png'
+];
+
+const START = '// <precache> Generated by precache.js, do not edit';
+const END = '// </precache>';
+
+const hash = content => crypto.createHash('sha256').update(content).digest('hex').slice(0, 12);
+
+/**
+ * The generated block of sw.js: the version (a hash of every file hash) and
+ * [path, hash] pairs
+ */
+async function buildPrecache() {
+    const entries = await Promise.all(FILES.map(async file => [file, hash(await fs.readFile(path.join(ROOT, file)))]));
+    const version = hash(entries.map(entry => entry.join(' ')).join('\n'));
+
+    return [
+        START,
+        `const PRECACHE_VERSION = '${version}';`,
+        'const PRECACHE = [',
+        entries.map(([file, fileHash]) => `    ['${file}', '${fileHash}']`).join(',\n'),
+        '];',
+        END
+    ].join('\n');
+}
+
+/**
+ * sw.js with its precache block replaced
+ */
+async function updateServiceWorker(source) {
+    const start = source.indexOf(START);
+    const end = source.indexOf(END);
+    if (start === -1 || end < start) {
+        throw new Error(`sw.js has no "${START}" … "${END}" block`);
+    }
+    return source.slice(0, start) + await buildPrecache() + source.slice(end + END.length);
+}
+
+async function main(args) {
+    const source = await fs.readFile(SERVICE_WORKER, 'utf8');
+    const updated = await updateServiceWorker(source);
+
+    if (args.includes('--check')) {
+        if (updated !== source) {
+            console.error('precache: sw.js is out of date, run "npm run precache"');
+            process.exitCode = 1;
+        }
+        return;
+    }
+
+    if (updated !== source) {
+        await fs.writeFile(SERVICE_WORKER, updated);
+    }
+    console.error(updated === source ? 'precache: sw.js is up to date' : 'precache: updated sw.js');
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).catch(error => {
+        console.error(`precache: ${error.message}`);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { FILES, buildPrecache, updateServiceWorker };
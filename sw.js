@@ -1,47 +1,123 @@
 // GhostTrace Service Worker
-const CACHE_NAME = 'ghosttrace-v2';
-const ASSETS = [
-    '/',
-    '/index.html',
-    '/demo.html',
-    '/privacy.html',
-    '/styles.css',
-    '/styles_additions.css',
-    '/app.js',
-    '/manifest.json',
-    '/favicon.png',
-    '/icons/icon-192.png',
-    '/icons/icon-512.png'
+// The app files are precached under a version taken from their content (the
+// hashes below only exist so that any change to them changes this file) and
+// served cache-first from that cache: they change only when a new version
+// installs.
+// Anything else in scope is served stale-while-revalidate. An update waits
+// until the page, after asking the user, tells it to take over (see
+// registerServiceWorker in app.js).
+
+// <precache> Generated by precache.js, do not edit
+const PRECACHE_VERSION = '590e65c437d4';
+const PRECACHE = [
+    ['index.html', '9b0a8f0f25d2'],
+    ['demo.html', '33c1aa8a3b2e'],
+    ['privacy.html', '0332964f70f7'],
+    ['styles.css', '277e0ad9b955'],
+    ['styles_additions.css', '1eae2d463b35'],
+    ['core.js', '855b9afc5620'],
+    ['app.js', '9e2590af3bac'],
+    ['worker.js', 'ba2d3973dadf'],
+    ['manifest.json', 'd0af4493d1f7'],
+    ['favicon.png', '9215af9def5f'],
+    ['icons/icon-192.png', '778b5d0b566d'],
+    ['icons/icon-512.png', '778b5d0b566d']
 ];
+// </precache>
+
+const CACHE_PREFIX = 'ghosttrace-';
+const CACHE_NAME = `${CACHE_PREFIX}${PRECACHE_VERSION}`;
 
-// Install event - cache assets
+// Precache paths are relative to this file, which sits at the root of its
+// scope, so the app works from a sub-path such as GitHub Pages
+const toURL = path => new URL(path, self.registration.scope).href;
+
+// Install event - cache this version's files, then tell open pages if it's an update
 self.addEventListener('install', (event) => {
-    event.waitUntil(
-        caches.open(CACHE_NAME).then((cache) => {
-            return cache.addAll(ASSETS);
-        })
-    );
-    self.skipWaiting();
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        // Bypass the HTTP cache so the files match their hashes
+        await cache.addAll(PRECACHE.map(([path]) => new Request(toURL(path), { cache: 'reload' })));
+
+        if (self.registration.active) {
+            const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+            clients.forEach(client => client.postMessage({ type: 'UPDATE_READY', version: PRECACHE_VERSION }));
+        }
+    })());
 });
 
-// Activate event - clean old caches
+// Activate event - clean old versions
 self.addEventListener('activate', (event) => {
-    event.waitUntil(
-        caches.keys().then((keys) => {
-            return Promise.all(
-                keys.filter((key) => key !== CACHE_NAME)
-                    .map((key) => caches.delete(key))
-            );
-        })
-    );
-    self.clients.claim();
+    event.waitUntil((async () => {
+        const keys = await caches.keys();
+        await Promise.all(keys
+            .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+            .map(key => caches.delete(key)));
+        await self.clients.claim();
+    })());
 });
 
-// Fetch event - serve from cache, fallback to network
+// Message event - the user accepted the update
+self.addEventListener('message', (event) => {
+    if (event.data?.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+// Fetch event - serve this version's files from its cache, anything else
+// from cache while refreshing it from the network
 self.addEventListener('fetch', (event) => {
-    event.respondWith(
-        caches.match(event.request).then((response) => {
-            return response || fetch(event.request);
-        })
-    );
+    const { request } = event;
+    if (request.method !== 'GET' || !request.url.startsWith(self.registration.scope)) return;
+
+    const key = cacheKey(request);
+    event.respondWith(isPrecached(key) ? cacheFirst(event, key) : staleWhileRevalidate(event, key));
 });
+
+/**
+ * Pages are cached without their query string, and the scope root is index.html
+ */
+function cacheKey(request) {
+    if (request.mode !== 'navigate') return request;
+
+    const url = new URL(request.url);
+    url.search = '';
+    return url.href === self.registration.scope ? toURL('index.html') : url.href;
+}
+
+function isPrecached(key) {
+    const url = typeof key === 'string' ? key : key.url;
+    return PRECACHE.some(([path]) => toURL(path) === url);
+}
+
+/**
+ * Precached files are cache-first rather than stale-while-revalidate. Any
+ * change to them changes this file, which the browser checks on every visit,
+ * so a background refresh could only fetch the next version's files, and
+ * putting those in this version's cache would run e.g. a new core.js under
+ * the old app.js. New files arrive with the new worker and its prompt; the
+ * network is only used if a file is missing.
+ */
+async function cacheFirst(event, key) {
+    const cache = await caches.open(CACHE_NAME);
+    return (await cache.match(key)) || fetch(event.request);
+}
+
+async function staleWhileRevalidate(event, key) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(key);
+
+    const network = fetch(event.request).then((response) => {
+        if (response.ok && response.type === 'basic') {
+            return cache.put(key, response.clone()).then(() => response);
+        }
+        return response;
+    });
+
+    if (cached) {
+        // Offline, the cached copy is all there is
+        event.waitUntil(network.catch(() => {}));
+        return cached;
+    }
+    return network;
+}
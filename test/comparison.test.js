@@ -0,0 +1,167 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ComparisonEngine, InstagramDataParser, fingerprintSnapshot } = require('../core.js');
+const { fixture, users } = require('./helpers');
+
+const usernames = list => list.map(user => user.username);
+
+describe('ComparisonEngine', () => {
+    it('matches usernames case-insensitively', () => {
+        const previous = users('Alice', 'BOB');
+        const current = users('alice', 'bob', 'Carl');
+
+        assert.deepEqual(ComparisonEngine.findUnfollowers(previous, current), []);
+        assert.deepEqual(usernames(ComparisonEngine.findNewFollowers(previous, current)), ['Carl']);
+        assert.deepEqual(ComparisonEngine.findNotFollowingBack(users('ALICE'), users('alice', 'Dave')).map(u => u.username), ['Dave']);
+    });
+
+    it('reports unfollowers as they were in the earlier snapshot', () => {
+        const unfollowers = ComparisonEngine.findUnfollowers(users('Alice', 'bob'), users('bob'));
+        assert.deepEqual(unfollowers, [users('Alice')[0]]);
+    });
+
+    it('handles empty lists on either side', () => {
+        assert.deepEqual(ComparisonEngine.findUnfollowers([], users('a')), []);
+        assert.deepEqual(usernames(ComparisonEngine.findUnfollowers(users('a'), [])), ['a']);
+        assert.deepEqual(ComparisonEngine.findNotFollowingBack([], []), []);
+    });
+
+    it('diffs the following side', () => {
+        const previous = users('alice', 'bob');
+        const current = users('bob', 'carl');
+
+        assert.deepEqual(usernames(ComparisonEngine.findYouUnfollowed(previous, current)), ['alice']);
+        assert.deepEqual(usernames(ComparisonEngine.findYouStartedFollowing(previous, current)), ['carl']);
+    });
+
+    it('compares the test_data export with nothing before it', () => {
+        const followers = InstagramDataParser.parseFollowersJSON(fixture('followers_1.json'));
+        const following = InstagramDataParser.parseFollowingJSON(fixture('following.json'));
+        const result = ComparisonEngine.compareSnapshots(null, { followers, following });
+
+        assert.deepEqual(result.unfollowers, []);
+        assert.deepEqual(result.newFollowers, []);
+        assert.deepEqual(usernames(result.notFollowingBack), ['frankie_goes', 'george_costanza', 'harry_potter']);
+    });
+
+    it('compares a snapshot with the previous one', () => {
+        const previous = { followers: users('alice', 'bob', 'carl'), following: users('alice') };
+        const current = { followers: users('BOB', 'carl', 'dave'), following: users('alice', 'erin') };
+        const result = ComparisonEngine.compareSnapshots(previous, current);
+
+        assert.deepEqual(usernames(result.unfollowers), ['alice']);
+        assert.deepEqual(usernames(result.newFollowers), ['dave']);
+        assert.deepEqual(usernames(result.youStartedFollowing), ['erin']);
+        assert.deepEqual(usernames(result.notFollowingBack), ['alice', 'erin']);
+        assert.deepEqual(result.relationships, {});
+    });
+
+    it('finds requests never accepted and close friends who do not follow back', () => {
+        const relationships = {
+            pendingRequests: users('Pending', 'accepted'),
+            closeFriends: users('friend', 'Stranger')
+        };
+        const result = ComparisonEngine.compareSnapshots(null, {
+            followers: users('FRIEND'),
+            following: users('Accepted'),
+            relationships
+        });
+
+        assert.deepEqual(usernames(result.unacceptedRequests), ['Pending']);
+        assert.deepEqual(usernames(result.closeFriendsNotFollowing), ['Stranger']);
+    });
+
+    it('finds followers who left and came back within a range', () => {
+        const snapshots = [
+            { followers: users('alice', 'bob') },
+            { followers: users('bob') },
+            { followers: users('Alice', 'bob') }
+        ];
+
+        assert.deepEqual(usernames(ComparisonEngine.findReturnedFollowers(snapshots)), ['Alice']);
+        assert.deepEqual(ComparisonEngine.findReturnedFollowers(snapshots.slice(1)), []);
+    });
+
+    it('indexes the relationship history of each account', () => {
+        const index = ComparisonEngine.buildRelationshipIndex([
+            { id: 3, date: '2024-03-01', followers: users('Alice'), following: [] },
+            { id: 1, date: '2024-01-01', followers: users('alice'), following: users('alice') },
+            { id: 2, date: '2024-02-01', followers: [], following: users('alice') }
+        ]);
+        const entry = index.get('alice');
+
+        assert.equal(index.size, 1);
+        assert.deepEqual(entry.events.map(event => event.type),
+            ['followedYou', 'youFollowed', 'unfollowedYou', 'refollowedYou', 'youUnfollowed']);
+        assert.equal(entry.followsYou, true);
+        assert.equal(entry.youFollow, false);
+    });
+});
+
+describe('ComparisonEngine rename detection', () => {
+    const user = (username, timestamp = null, href = null) => ({ username, timestamp, href });
+
+    it('pairs accounts with the same follow timestamp', () => {
+        const changes = ComparisonEngine.diffWithRenames(
+            [user('bob', 100), user('old_handle', 200)],
+            [user('bob', 100), user('totally_new', 200), user('carl', 300)]
+        );
+
+        assert.deepEqual(changes.removed, []);
+        assert.deepEqual(usernames(changes.added), ['carl']);
+        assert.deepEqual(changes.renamed, [{ ...user('totally_new', 200), previousUsername: 'old_handle', renameReasons: ['timestamp'] }]);
+    });
+
+    it('pairs similar names and links to the new username', () => {
+        const pairs = ComparisonEngine.findRenames(
+            [user('jane.doe'), user('mark', null, 'https://www.instagram.com/_u/mark_official')],
+            [user('mark_official'), user('janedoe_')]
+        );
+
+        assert.deepEqual(pairs.map(({ from, to, reasons }) => [from.username, to.username, reasons]), [
+            ['mark', 'mark_official', ['link']],
+            ['jane.doe', 'janedoe_', ['name']]
+        ]);
+        assert.deepEqual(ComparisonEngine.findRenames(
+            [user('bob_builder', 100)],
+            [user('bobbuilder'), user('bob_builder99'), user('rob_bilder')]
+        ).map(({ to }) => to.username), ['bobbuilder']);
+    });
+
+    it('does not pair different follow timestamps, short names or shared timestamps', () => {
+        assert.deepEqual(ComparisonEngine.findRenames([user('jane.doe', 100)], [user('janedoe', 200)]), []);
+        assert.deepEqual(ComparisonEngine.findRenames([user('ann')], [user('anne')]), []);
+        assert.deepEqual(ComparisonEngine.findRenames(
+            [user('first', 100), user('second', 100)],
+            [user('third', 100)]
+        ), []);
+    });
+
+    it('keeps renames out of the unfollower counts', () => {
+        const previous = { followers: [user('old_name', 100), user('leaver', 50)], following: [user('old_name', 100)] };
+        const current = { followers: [user('new_name', 100)], following: [user('new_name', 100)] };
+        const result = ComparisonEngine.compareSnapshots(previous, current);
+
+        assert.deepEqual(usernames(result.unfollowers), ['leaver']);
+        assert.deepEqual(result.newFollowers, []);
+        assert.deepEqual(result.youUnfollowed, []);
+        assert.deepEqual(result.possiblyRenamed.map(u => [u.previousUsername, u.username]), [['old_name', 'new_name']]);
+        assert.deepEqual(ComparisonEngine.buildGrowthSeries([
+            { ...previous, date: '2024-01-01' },
+            { ...current, date: '2024-02-01' }
+        ]).map(point => point.lost), [0, 1]);
+    });
+});
+
+describe('fingerprintSnapshot', () => {
+    it('ignores order and username casing but not membership', () => {
+        const a = fingerprintSnapshot({ followers: users('alice', 'bob'), following: users('carl') });
+        const b = fingerprintSnapshot({ followers: users('alice', 'bob').reverse(), following: users('CARL') });
+        const c = fingerprintSnapshot({ followers: users('alice'), following: users('carl') });
+
+        assert.equal(a.split('-')[0], b.split('-')[0]);
+        assert.notEqual(a, c);
+    });
+});
@@ -0,0 +1,282 @@
+'use strict';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, users } = require('./helpers');
+
+/**
+ * Followers u<from>…u<from + count - 1>, so consecutive snapshots overlap
+ */
+function range(count, from = 0) {
+    return Array.from({ length: count }, (_, i) => ({ username: `u${from + i}`, timestamp: 1700000000 + from + i, href: null }));
+}
+
+function readAll(db, storeName) {
+    return new Promise((resolve, reject) => {
+        const request = db.db.transaction([storeName]).objectStore(storeName).getAll();
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Compare as plain data: the sandbox's objects come from another realm
+const plain = value => JSON.parse(JSON.stringify(value));
+
+describe('DatabaseManager', () => {
+    let app;
+    let db;
+
+    beforeEach(async () => {
+        app = loadApp();
+        db = new app.DatabaseManager();
+        await db.init();
+    });
+
+    describe('snapshots', () => {
+        it('saves a snapshot and rebuilds it', async () => {
+            const id = await db.saveSnapshot(range(5), range(3), { closeFriends: users('bestie') }, '2024-01-01T00:00:00.000Z');
+            const snapshot = await db.getSnapshot(id);
+
+            assert.deepEqual(plain(snapshot.followers), range(5));
+            assert.deepEqual(plain(snapshot.following), range(3));
+            assert.deepEqual(plain(snapshot.relationships), { closeFriends: users('bestie') });
+
+            const [meta] = await db.getSnapshots();
+            assert.equal(meta.followersCount, 5);
+            assert.equal(meta.followers, undefined, 'history lists only metadata');
+        });
+
+        it('stores small changes as deltas with periodic checkpoints', async () => {
+            const saved = [];
+            for (let i = 0; i < 12; i++) {
+                const followers = range(40, i);
+                saved.push(followers);
+                await db.saveSnapshot(followers, range(10), {}, new Date(Date.UTC(2024, 0, i + 1)).toISOString());
+            }
+
+            const data = (await readAll(db, 'snapshotData')).sort((a, b) => a.id - b.id);
+            assert.equal(data[0].depth, 0);
+            assert.ok(data[1].delta, 'the second snapshot is a delta');
+            assert.ok(data.every(record => record.depth < db.checkpointInterval));
+            assert.ok(data.slice(1).some(record => record.depth === 0), 'a later checkpoint was written');
+
+            for (let i = 0; i < saved.length; i++) {
+                assert.deepEqual(plain((await db.getSnapshot(data[i].id)).followers), saved[i]);
+            }
+        });
+
+        it('keeps the timeline in date order when snapshots are back-filled', async () => {
+            const march = await db.saveSnapshot(range(10, 2), [], {}, '2024-03-01T00:00:00.000Z');
+            const january = await db.saveSnapshot(range(10), [], {}, '2024-01-01T00:00:00.000Z');
+            const february = await db.saveSnapshot(range(10, 1), [], {}, '2024-02-01T00:00:00.000Z');
+
+            const before = await db.getSnapshotBefore(await db.getSnapshot(march));
+            assert.equal(before.id, february);
+            assert.equal((await db.getLatestSnapshot()).id, march);
+
+            const metas = app.DatabaseManager.sortByDate(await db.getSnapshots());
+            assert.deepEqual(metas.map(meta => meta.id), [january, february, march]);
+            assert.deepEqual(metas.map(meta => [meta.gained, meta.lost]), [[0, 0], [1, 1], [1, 1]]);
+            assert.deepEqual(plain((await db.getSnapshot(march)).followers), range(10, 2));
+        });
+
+        it('re-bases the next snapshot when one is deleted', async () => {
+            const first = await db.saveSnapshot(range(20), [], {}, '2024-01-01T00:00:00.000Z');
+            const second = await db.saveSnapshot(range(20, 1), [], {}, '2024-02-01T00:00:00.000Z');
+            const third = await db.saveSnapshot(range(20, 2), [], {}, '2024-03-01T00:00:00.000Z');
+
+            await db.deleteSnapshot(second);
+
+            assert.equal(await db.getSnapshot(second), null);
+            assert.deepEqual(plain((await db.getSnapshot(third)).followers), range(20, 2));
+            assert.equal((await db.getSnapshotInfo(third)).lost, 2);
+            assert.deepEqual((await db.getSnapshots()).map(meta => meta.id).sort(), [first, third]);
+        });
+
+        it('moves a snapshot to another date', async () => {
+            const first = await db.saveSnapshot(range(10), [], {}, '2024-01-01T00:00:00.000Z');
+            const second = await db.saveSnapshot(range(10, 5), [], {}, '2024-02-01T00:00:00.000Z');
+
+            await db.moveSnapshot(first, '2024-03-01T00:00:00.000Z');
+
+            assert.equal((await db.getLatestSnapshot()).id, first);
+            assert.deepEqual(plain((await db.getSnapshot(first)).followers), range(10));
+            assert.deepEqual(plain((await db.getSnapshot(second)).followers), range(10, 5));
+        });
+
+        it('re-bases the snapshots around both the old and the new place of a moved one', async () => {
+            const ids = [];
+            for (let i = 0; i < 5; i++) {
+                ids.push(await db.saveSnapshot(range(20, i), [], {}, new Date(Date.UTC(2024, i, 1)).toISOString()));
+            }
+
+            await db.moveSnapshot(ids[1], '2024-04-15T00:00:00.000Z');
+
+            const metas = app.DatabaseManager.sortByDate(await db.getSnapshots());
+            assert.deepEqual(metas.map(meta => meta.id), [ids[0], ids[2], ids[3], ids[1], ids[4]]);
+            assert.deepEqual(metas.map(meta => meta.lost), [0, 2, 1, 2, 3]);
+            for (let i = 0; i < ids.length; i++) {
+                assert.deepEqual(plain((await db.getSnapshot(ids[i])).followers), range(20, i));
+            }
+        });
+
+        it('leaves the timeline as it was when a move fails', async () => {
+            const first = await db.saveSnapshot(range(10), [], {}, '2024-01-01T00:00:00.000Z');
+            const second = await db.saveSnapshot(range(10, 5), [], {}, '2024-02-01T00:00:00.000Z');
+
+            // Data that can't be stored, as the last write of the move
+            const encodeSnapshot = db.encodeSnapshot.bind(db);
+            db.encodeSnapshot = (lists, parent, maxDepth) => {
+                const encoded = encodeSnapshot(lists, parent, maxDepth);
+                return lists.followers[0].username === 'u0' ? { ...encoded, data: { ...encoded.data, invalid: () => {} } } : encoded;
+            };
+            await assert.rejects(db.moveSnapshot(first, '2024-03-01T00:00:00.000Z'));
+            delete db.encodeSnapshot;
+
+            const metas = app.DatabaseManager.sortByDate(await db.getSnapshots());
+            assert.deepEqual(metas.map(meta => [meta.id, meta.date]), [[first, '2024-01-01T00:00:00.000Z'], [second, '2024-02-01T00:00:00.000Z']]);
+            assert.deepEqual(plain((await db.getSnapshot(first)).followers), range(10));
+            assert.deepEqual(plain((await db.getSnapshot(second)).followers), range(10, 5));
+        });
+
+        it('finds an identical snapshot by fingerprint', async () => {
+            const id = await db.saveSnapshot(users('alice', 'bob'), users('carl'));
+            const { fingerprint } = await db.getSnapshotInfo(id);
+
+            assert.equal((await db.findSnapshotByFingerprint(fingerprint)).id, id);
+            assert.equal(await db.findSnapshotByFingerprint('nothing-0'), null);
+        });
+
+        it('keeps labels and notes as metadata', async () => {
+            const id = await db.saveSnapshot(users('alice'), []);
+            await db.updateSnapshot(id, { label: 'after giveaway', note: 'big week' });
+
+            const snapshot = await db.getSnapshot(id);
+            assert.equal(snapshot.label, 'after giveaway');
+            assert.equal(snapshot.note, 'big week');
+            assert.deepEqual(plain(snapshot.followers), users('alice'));
+        });
+    });
+
+    describe('profiles', () => {
+        it('keeps snapshots and whitelists apart per profile', async () => {
+            await db.saveSnapshot(users('alice'), []);
+            await db.addToWhitelist('alice');
+
+            const brand = await db.createProfile('Brand');
+            await db.setActiveProfile(brand);
+            assert.deepEqual(plain(await db.getSnapshots()), []);
+            assert.deepEqual(plain(await db.getWhitelist()), []);
+
+            await db.saveSnapshot(users('bob'), []);
+            await db.deleteProfile(brand);
+
+            assert.equal(db.profileId, db.defaultProfileId);
+            assert.equal((await db.getAllSnapshots()).length, 1);
+            assert.equal((await readAll(db, 'snapshotData')).length, 1);
+            await assert.rejects(db.deleteProfile(db.defaultProfileId), /last profile/);
+        });
+    });
+
+    describe('whitelist', () => {
+        it('reads old username arrays as entries', async () => {
+            await db.saveProfileSetting('whitelist', ['Alice', '@bob']);
+
+            assert.deepEqual(plain(await db.getWhitelist()), [
+                { username: 'alice', tag: '', note: '', addedAt: null },
+                { username: 'bob', tag: '', note: '', addedAt: null }
+            ]);
+        });
+
+        it('adds, updates and removes entries in bulk', async () => {
+            await db.saveWhitelistEntries([{ username: 'Alice', tag: 'friend', note: 'school' }, 'bob']);
+            await db.saveWhitelistEntries([{ username: 'alice', note: 'college' }, { username: 'carl', tag: 'nonsense' }]);
+
+            const entries = await db.getWhitelist();
+            assert.deepEqual(entries.map(entry => [entry.username, entry.tag, entry.note]), [
+                ['alice', 'friend', 'college'],
+                ['bob', '', ''],
+                ['carl', '', '']
+            ]);
+            assert.ok(entries.every(entry => entry.addedAt));
+
+            const remaining = await db.removeFromWhitelist(['BOB', 'carl']);
+            assert.deepEqual(remaining.map(entry => entry.username), ['alice']);
+            assert.equal(await db.isWhitelisted('ALICE'), true);
+        });
+    });
+
+    describe('backup', () => {
+        it('merges a backup by snapshot date without duplicates', async () => {
+            await db.saveSnapshot(range(5), [], {}, '2024-01-01T00:00:00.000Z');
+            await db.addToWhitelist('alice', { tag: 'brand' });
+            const backup = plain(await db.exportData());
+
+            const other = new (loadApp().DatabaseManager)();
+            await other.init();
+            await other.saveSnapshot(range(5, 1), [], {}, '2024-02-01T00:00:00.000Z');
+            await other.addToWhitelist('bob');
+
+            assert.deepEqual(plain(await other.importData(backup)), { added: 1, skipped: 0 });
+            assert.deepEqual(plain(await other.importData(backup)), { added: 0, skipped: 1 });
+
+            const metas = app.DatabaseManager.sortByDate(await other.getSnapshots());
+            assert.deepEqual(metas.map(meta => meta.date), ['2024-01-01T00:00:00.000Z', '2024-02-01T00:00:00.000Z']);
+            assert.deepEqual(plain((await other.getSnapshot(metas[1].id)).followers), range(5, 1));
+            assert.deepEqual((await other.getWhitelist()).map(entry => [entry.username, entry.tag]), [['bob', ''], ['alice', 'brand']]);
+        });
+    });
+});
+
+describe('DatabaseManager init', () => {
+    it('runs without the database when the active profile can\'t be read', async () => {
+        const app = loadApp();
+        const db = new app.DatabaseManager();
+        db.loadActiveProfile = async () => {
+            throw new Error('read failed');
+        };
+
+        const warn = console.warn;
+        console.warn = () => {};
+        try {
+            assert.equal(await db.init(), null);
+            assert.equal(db.isAvailable, false);
+            assert.equal(await db.saveSnapshot(users('alice'), []), null);
+        } finally {
+            console.warn = warn;
+        }
+    });
+});
+
+describe('DatabaseManager migration', () => {
+    it('moves a version 1 database into the default profile as deltas', async () => {
+        const app = loadApp();
+
+        // Version 1: full snapshots with auto-increment ids and a global whitelist
+        await new Promise((resolve, reject) => {
+            const request = app.indexedDB.open('GhostTraceDB', 1);
+            request.onupgradeneeded = () => {
+                const snapshots = request.result.createObjectStore('snapshots', { keyPath: 'id', autoIncrement: true });
+                snapshots.createIndex('date', 'date');
+                const settings = request.result.createObjectStore('settings', { keyPath: 'key' });
+                snapshots.add({ date: '2024-01-01T00:00:00.000Z', followers: range(30), following: range(5) });
+                snapshots.add({ date: '2024-02-01T00:00:00.000Z', followers: range(30, 2), following: range(5) });
+                settings.put({ key: 'whitelist', value: ['alice'] });
+            };
+            request.onsuccess = () => {
+                request.result.close();
+                resolve();
+            };
+            request.onerror = () => reject(request.error);
+        });
+
+        const db = new app.DatabaseManager();
+        await db.init();
+
+        const metas = app.DatabaseManager.sortByDate(await db.getSnapshots());
+        assert.deepEqual(metas.map(meta => [meta.profileId, meta.followersCount, meta.lost]), [[1, 30, 0], [1, 30, 2]]);
+        assert.deepEqual(plain((await db.getSnapshot(metas[1].id)).followers), range(30, 2));
+        assert.ok((await readAll(db, 'snapshotData')).some(record => record.delta));
+        assert.deepEqual((await db.getWhitelist()).map(entry => entry.username), ['alice']);
+    });
+});
@@ -0,0 +1,25 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ReportExport, parseCSV, toCSV, parseWhitelistFile } = require('../core.js');
+
+describe('ReportExport', () => {
+    const sections = [{ key: 'followers', label: 'All Followers', users: [{ username: 'alice', timestamp: null, href: null }] }];
+    const whitelist = new Map([['alice', { username: 'alice', tag: '', note: '=HYPERLINK("http://x","y")' }]]);
+
+    it('quotes formula-like cells in CSV only', () => {
+        const csv = ReportExport.build('csv', sections, ['username', 'note'], { whitelist }).content;
+        assert.deepEqual(parseCSV(csv)[1], ['alice', '\'=HYPERLINK("http://x","y")']);
+
+        const xml = ReportExport.build('spreadsheet', sections, ['note'], { whitelist }).content;
+        assert.match(xml, /<Data ss:Type="String">=HYPERLINK\(&quot;http:\/\/x&quot;,&quot;y&quot;\)<\/Data>/);
+
+        assert.equal(toCSV([['+1', '-2', '@sum', 'plain', 'a=b']]), "'+1,'-2,'@sum,plain,a=b");
+    });
+
+    it('reads exported whitelist notes back as they were', () => {
+        const csv = toCSV([['username', 'tag', 'note'], ['alice', '', '=1+1'], ['bob', '', "'quoted"]]);
+        assert.deepEqual(parseWhitelistFile('whitelist.csv', csv).map(entry => entry.note), ['=1+1', "'quoted"]);
+    });
+});
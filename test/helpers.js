@@ -0,0 +1,56 @@
+/**
+ * Shared test helpers: the test_data fixtures and a sandbox that runs the
+ * browser scripts (core.js and app.js) against an in-memory IndexedDB.
+ */
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { IDBFactory, IDBKeyRange } = require('fake-indexeddb');
+
+const ROOT = path.join(__dirname, '..');
+
+function fixture(name) {
+    return JSON.parse(fs.readFileSync(path.join(ROOT, 'test_data', name), 'utf8'));
+}
+
+/**
+ * Load core.js and app.js into a fresh sandbox with its own empty
+ * IndexedDB, like a new browser profile
+ * @returns {Object} - The scripts' classes, plus the sandbox's indexedDB
+ */
+function loadApp() {
+    const indexedDB = new IDBFactory();
+    const context = vm.createContext({
+        indexedDB,
+        IDBKeyRange,
+        Blob,
+        TextEncoder,
+        TextDecoder,
+        structuredClone,
+        crypto,
+        atob,
+        btoa,
+        console,
+        setTimeout,
+        clearTimeout,
+        // app.js only registers its startup handler at load time
+        document: { addEventListener() {} }
+    });
+    context.window = context;
+
+    ['core.js', 'app.js'].forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+    });
+    return { ...vm.runInContext('({ DatabaseManager, SnapshotDelta, BackupFile })', context), indexedDB };
+}
+
+/**
+ * Build users { username, timestamp, href } for the given usernames
+ */
+function users(...usernames) {
+    return usernames.map((username, i) => ({ username, timestamp: 1700000000 + i, href: null }));
+}
+
+module.exports = { ROOT, fixture, loadApp, users };
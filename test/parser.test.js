@@ -0,0 +1,253 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { InstagramDataParser, ImportReport, HTMLExportReader, AnalysisTasks, parseWhitelistFile } = require('../core.js');
+const { fixture } = require('./helpers');
+
+const usernames = users => users.map(user => user.username);
+
+describe('InstagramDataParser JSON', () => {
+    it('reads followers_1.json (array of string_list_data)', () => {
+        const users = InstagramDataParser.parseFollowersJSON(fixture('followers_1.json'));
+
+        assert.deepEqual(usernames(users), ['alice_wonder', 'bob_builder', 'charlie_choc', 'diana_prince', 'edward_elric']);
+        assert.deepEqual(users[0], {
+            username: 'alice_wonder',
+            timestamp: 1704067200,
+            href: 'https://www.instagram.com/alice_wonder'
+        });
+    });
+
+    it('reads following.json as a bare array', () => {
+        const users = InstagramDataParser.parseFollowingJSON(fixture('following.json'));
+        assert.deepEqual(usernames(users), ['alice_wonder', 'bob_builder', 'frankie_goes', 'george_costanza', 'harry_potter']);
+    });
+
+    it('reads following.json wrapped in relationships_following', () => {
+        const users = InstagramDataParser.parseFollowingJSON({ relationships_following: fixture('following.json') });
+        assert.equal(users.length, 5);
+    });
+
+    it('takes the username from "title" in newer exports', () => {
+        const users = InstagramDataParser.parseFollowingJSON({
+            relationships_following: [
+                { title: 'new_style', string_list_data: [{ href: 'https://www.instagram.com/_u/new_style', timestamp: 1710000000 }] }
+            ]
+        });
+        assert.deepEqual(users, [{ username: 'new_style', timestamp: 1710000000, href: 'https://www.instagram.com/_u/new_style' }]);
+    });
+
+    it('takes the username from string_list_data "value" when there is no title', () => {
+        const users = InstagramDataParser.parseEntries([
+            { title: '', string_list_data: [{ value: 'old_style', timestamp: 1600000000 }, { value: 'second' }] }
+        ]);
+        assert.deepEqual(users, [
+            { username: 'old_style', timestamp: 1600000000, href: null },
+            { username: 'second', timestamp: null, href: null }
+        ]);
+    });
+
+    it('reads the other relationship files, wrapped or bare', () => {
+        const items = [{ title: 'bestie', string_list_data: [{ timestamp: 1 }] }];
+
+        assert.deepEqual(usernames(InstagramDataParser.parseRelationshipJSON('closeFriends', { relationships_close_friends: items })), ['bestie']);
+        assert.deepEqual(usernames(InstagramDataParser.parseRelationshipJSON('blocked', items)), ['bestie']);
+        assert.throws(() => InstagramDataParser.parseRelationshipJSON('blocked', { something_else: [] }), /blocked_profiles\.json/);
+    });
+
+    it('rejects files that are not exports', () => {
+        assert.throws(() => InstagramDataParser.parseFollowersJSON(null), /empty/);
+        assert.throws(() => InstagramDataParser.parseFollowersJSON({ followers: [] }), /array/);
+        assert.throws(() => InstagramDataParser.parseFollowersJSON([{ name: 'x' }]), /Unrecognized/);
+        assert.throws(() => InstagramDataParser.parseFollowingJSON({ following: [] }), /Expected Instagram export format/);
+        assert.deepEqual(InstagramDataParser.parseFollowersJSON([]), []);
+    });
+
+    it('counts skipped and malformed entries in the import report', () => {
+        const report = new ImportReport('followers_1.json');
+        const users = InstagramDataParser.parseFollowersJSON([
+            { string_list_data: [{ value: 'good', timestamp: 1 }, { value: '' }, { value: 'bad name!' }, { value: 'late', timestamp: -5 }] },
+            { media_list_data: [] }
+        ], report);
+
+        assert.deepEqual(usernames(users), ['good']);
+        assert.equal(report.entries, 5);
+        assert.equal(report.imported, 1);
+        assert.equal(report.skipped, 1);
+        assert.equal(report.malformed, 3);
+        assert.equal(report.hasProblems, true);
+    });
+
+    it('detects the file type from its structure', () => {
+        assert.equal(InstagramDataParser.detectJSONType(fixture('followers_1.json')), 'followers');
+        assert.equal(InstagramDataParser.detectJSONType(fixture('following.json'), 'following.json'), 'following');
+        assert.equal(InstagramDataParser.detectJSONType({ relationships_following: [] }), 'following');
+        assert.equal(InstagramDataParser.detectJSONType({ relationships_follow_requests_sent: [] }), 'pendingRequests');
+        assert.equal(InstagramDataParser.detectJSONType({ likes: [] }), null);
+        assert.equal(InstagramDataParser.detectJSONType('text'), null);
+    });
+
+    it('routes files to their parser by type', () => {
+        assert.equal(InstagramDataParser.parseFile('following', fixture('following.json')).length, 5);
+        assert.throws(() => InstagramDataParser.parseFile('likes', []), /No parser/);
+    });
+});
+
+describe('InstagramDataParser helpers', () => {
+    it('merges paginated parts, de-duplicating usernames case-insensitively', () => {
+        const merged = InstagramDataParser.mergeParts([
+            { users: [{ username: 'Alice', timestamp: 1, href: null }, { username: 'bob', timestamp: 2, href: null }] },
+            { users: [{ username: 'alice', timestamp: 3, href: null }, { username: 'carl', timestamp: 4, href: null }] }
+        ]);
+        assert.deepEqual(usernames(merged), ['Alice', 'bob', 'carl']);
+    });
+
+    it('finds relationship files in the archive by path', () => {
+        const detect = path => InstagramDataParser.detectArchiveFileType(path);
+
+        assert.equal(detect('connections/followers_and_following/followers_2.json'), 'followers');
+        assert.equal(detect('connections/followers_and_following/following.html'), 'following');
+        assert.equal(detect('connections/followers_and_following/close_friends.json'), 'closeFriends');
+        assert.equal(detect('your_instagram_activity/likes/liked_posts.json'), null);
+    });
+
+    it('reads the export date from archive names', () => {
+        assert.equal(InstagramDataParser.detectExportDate('instagram-someone-2024-01-15-AbCdEf.zip'), '2024-01-15T00:00:00.000Z');
+        assert.equal(InstagramDataParser.detectExportDate('instagram-2024-02-30.zip'), null);
+        assert.equal(InstagramDataParser.detectExportDate('instagram-1999-01-01.zip'), null);
+        assert.equal(InstagramDataParser.detectExportDate('followers_1.json'), null);
+    });
+
+    it('dates a snapshot from the archive name, else the newest follow', () => {
+        const parts = [{ users: [{ username: 'a', timestamp: 1704067200 }], exportDate: null }];
+        assert.deepEqual(InstagramDataParser.detectSnapshotDate(parts), {
+            date: '2024-01-01T00:00:00.000Z',
+            source: 'the newest follow in the data'
+        });
+
+        const exportDate = new Date(2024, 5, 1).toISOString();
+        assert.equal(InstagramDataParser.detectSnapshotDate([{ ...parts[0], exportDate }]).date, exportDate);
+    });
+
+    it('parses HTML entry dates in 12 and 24 hour formats', () => {
+        const local = (...args) => Math.floor(new Date(...args).getTime() / 1000);
+
+        assert.equal(InstagramDataParser.parseHTMLDate('Jan 05, 2024, 3:12 pm'), local(2024, 0, 5, 15, 12));
+        assert.equal(InstagramDataParser.parseHTMLDate('Dec 31, 2023 12:05 AM'), local(2023, 11, 31, 0, 5));
+        assert.equal(InstagramDataParser.parseHTMLDate('March 3, 2022, 18:40'), local(2022, 2, 3, 18, 40));
+        assert.equal(InstagramDataParser.parseHTMLDate(' 2024-01-05T15:12:00Z '), Date.UTC(2024, 0, 5, 15, 12) / 1000);
+        assert.equal(InstagramDataParser.parseHTMLDate('no date here'), null);
+        assert.equal(InstagramDataParser.parseHTMLDate('Verified 2'), null);
+        assert.equal(InstagramDataParser.parseHTMLDate('user 12'), null);
+    });
+});
+
+describe('InstagramDataParser HTML', () => {
+    const page = (title, body) => `<html><head><title>${title}</title></head><body>${body}</body></html>`;
+    const entry = (username, date, href = `https://www.instagram.com/${username}`) =>
+        `<div class="pam _3-95 _2ph- _a6-g uiBoxWhite noborder"><div><a target="_blank" href="${href}">${username}</a></div><div>${date}</div></div>`;
+
+    it('reads usernames, links and dates from the entry boxes', () => {
+        const html = page('Followers', [
+            '<a href="https://www.instagram.com/explore">Explore</a>',
+            entry('alice', 'Jan 05, 2024, 3:12 pm'),
+            entry('bob', 'Feb 10, 2024, 9:00 am', 'https://www.instagram.com/_u/bob')
+        ].join(''));
+        const users = InstagramDataParser.parseHTML(html);
+
+        assert.deepEqual(usernames(users), ['alice', 'bob']);
+        assert.equal(users[0].timestamp, Math.floor(new Date(2024, 0, 5, 15, 12).getTime() / 1000));
+        assert.equal(users[1].href, 'https://www.instagram.com/_u/bob');
+    });
+
+    it('falls back to the link when the text is not a username', () => {
+        const html = page('Following', entry('https://www.instagram.com/carl', 'Mar 1, 2024, 1:00 pm', 'https://www.instagram.com/carl'));
+        assert.deepEqual(usernames(InstagramDataParser.parseHTML(html)), ['carl']);
+    });
+
+    it('counts duplicate entries once', () => {
+        const report = new ImportReport('followers_1.html');
+        const users = InstagramDataParser.parseHTML(page('Followers', entry('dup', '') + entry('DUP', '')), report);
+
+        assert.equal(users.length, 1);
+        assert.equal(report.duplicates, 1);
+    });
+
+    it('counts duplicate JSON entries once', () => {
+        const item = username => ({ string_list_data: [{ value: username, timestamp: 1700000000 }] });
+        const followersReport = new ImportReport('followers_1.json');
+        const followers = InstagramDataParser.parseFollowersJSON([item('dup'), item('DUP'), item('other')], followersReport);
+        const followingReport = new ImportReport('following.json');
+        const following = InstagramDataParser.parseFollowingJSON(
+            { relationships_following: [{ title: 'dup', string_list_data: [{}] }, item('dup')] }, followingReport);
+
+        assert.deepEqual(usernames(followers), ['dup', 'other']);
+        assert.equal(followersReport.duplicates, 1);
+        assert.deepEqual(usernames(following), ['dup']);
+        assert.equal(followingReport.duplicates, 1);
+    });
+
+    it('detects the file type from the page title or heading', () => {
+        assert.equal(InstagramDataParser.detectHTMLType(page('Followers', '')), 'followers');
+        assert.equal(InstagramDataParser.detectHTMLType(page('Following', '')), 'following');
+        assert.equal(InstagramDataParser.detectHTMLType(page('', '<h1>Close Friends</h1>')), 'closeFriends');
+        assert.equal(InstagramDataParser.detectHTMLType(page('Recently unfollowed accounts', '')), null);
+    });
+});
+
+describe('HTMLExportReader', () => {
+    it('builds a tree without a DOM, skipping scripts and decoding entities', () => {
+        const doc = HTMLExportReader.parse(
+            '<!DOCTYPE html><html><head><title>A &amp; B</title><script>if (a < b) { "</div>" }</script></head>' +
+            '<body><div class="x uiBoxWhite"><a href=\'https://www.instagram.com/o&#39;neil\'>x</a><br><img src=a.png/>' +
+            '<span>caf&#xE9;&nbsp;1</span></div></p></body></html>'
+        );
+        const box = HTMLExportReader.find(doc, element => HTMLExportReader.hasClass(element, ['uiBoxWhite']));
+        const link = HTMLExportReader.find(doc, element => element.tag === 'a');
+
+        assert.equal(HTMLExportReader.textContent(HTMLExportReader.find(doc, element => element.tag === 'title')), 'A & B');
+        assert.equal(link.attrs.href, "https://www.instagram.com/o'neil");
+        assert.equal(HTMLExportReader.closest(link, element => element.tag === 'div'), box);
+        assert.equal(HTMLExportReader.textContent(box), 'xcafé\u00a01');
+        assert.equal(HTMLExportReader.find(doc, element => element.tag === 'script').children.length, 0);
+    });
+
+    it('parses HTML exports in the analysis task, as in the worker and the CLI', () => {
+        const html = '<html><head><title>Following</title></head><body>' +
+            '<div class="_a6-g"><a href="https://www.instagram.com/_u/dana">dana</a><div>Jan 05, 2024, 3:12 pm</div></div></body></html>';
+        const result = AnalysisTasks.parse({ name: 'following.html', data: html, isHTML: true }, () => {});
+
+        assert.equal(result.type, 'following');
+        assert.deepEqual(usernames(result.users), ['dana']);
+        assert.equal(result.report.imported, 1);
+    });
+
+    it('reports progress per batch of HTML entries, and falls back to the given type', () => {
+        const entries = Array.from({ length: 1200 }, (_, i) =>
+            `<div class="uiBoxWhite"><a href="https://www.instagram.com/u${i}">u${i}</a></div>`).join('');
+        const progress = [];
+        const result = AnalysisTasks.parse(
+            { fallbackType: 'followers', name: 'page.html', data: `<html><body>${entries}</body></html>`, isHTML: true },
+            (done, stage) => progress.push([done, stage])
+        );
+
+        assert.equal(result.type, 'followers');
+        assert.equal(result.users.length, 1200);
+        const batches = progress.filter(([, stage]) => stage === 'Parsing page.html');
+        assert.ok(batches.length >= 3, 'one update per batch of entries');
+        assert.ok(progress.every(([done], i) => done >= 0 && done <= 1 && (i === 0 || done >= progress[i - 1][0])));
+    });
+});
+
+describe('parseWhitelistFile', () => {
+    it('reads CSV with or without a header, and JSON lists or backups', () => {
+        assert.deepEqual(parseWhitelistFile('w.csv', '\uFEFFnote,username,tag\n"a, b",Alice,friend\n\n'), [
+            { username: 'Alice', tag: 'friend', note: 'a, b' }
+        ]);
+        assert.deepEqual(parseWhitelistFile('w.csv', 'bob,brand'), [{ username: 'bob', tag: 'brand', note: undefined }]);
+        assert.deepEqual(parseWhitelistFile('w.json', '["carl"]'), ['carl']);
+        assert.deepEqual(parseWhitelistFile('w.json', '{"whitelist":[{"username":"dana"}]}'), [{ username: 'dana' }]);
+        assert.throws(() => parseWhitelistFile('w.json', '{}'), /list of usernames/);
+    });
+});
@@ -0,0 +1,31 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { FILES, updateServiceWorker } = require('../precache.js');
+const { ROOT } = require('./helpers');
+
+describe('Service worker precache', () => {
+    it('lists the current hash of every app file', async () => {
+        const source = fs.readFileSync(path.join(ROOT, 'sw.js'), 'utf8');
+        assert.equal(await updateServiceWorker(source), source, 'sw.js is out of date, run "npm run precache"');
+    });
+
+    it('covers every local file the pages load', () => {
+        const pages = ['index.html', 'demo.html', 'privacy.html'];
+        const assets = pages.flatMap(page => [...fs.readFileSync(path.join(ROOT, page), 'utf8')
+            .matchAll(/(?:href|src)="([^"#:]+)"/g)].map(match => match[1]));
+
+        assert.deepEqual([...new Set(assets)].filter(asset => !FILES.includes(asset)), []);
+        assert.ok(FILES.includes('worker.js') && FILES.includes('core.js'), 'worker.js and the core.js it imports');
+    });
+
+    it('uses paths relative to its scope', () => {
+        assert.deepEqual(FILES.filter(file => file.startsWith('/')), []);
+        const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8'));
+        assert.equal(manifest.start_url, './');
+        assert.equal(manifest.scope, './');
+    });
+});
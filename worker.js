@@ -0,0 +1,16 @@
+// GhostTrace Analysis Worker
+// Parses export files and compares snapshots off the main thread
+importScripts('./core.js');
+
+self.addEventListener('message', (event) => {
+    const { id, task, payload } = event.data;
+
+    try {
+        const result = AnalysisTasks[task](payload, (done, stage) => {
+            self.postMessage({ id, progress: { done, stage } });
+        });
+        self.postMessage({ id, result });
+    } catch (error) {
+        self.postMessage({ id, error: { name: error.name, message: error.message } });
+    }
+});